@@ -2,53 +2,303 @@
 
 import { exportBooks } from './export-books.mjs';
 import { exportSeries } from './export-series.mjs';
+import { exportMovies } from './export-movies.mjs';
 import { exportDigitalGarden } from './export-digital-garden.mjs';
 import { exportTimeline } from './export-timeline.mjs';
 import { exportBookmarks } from './export-bookmarks.mjs';
+import { exportStats } from './export-stats.mjs';
+import { exportFeeds } from './export-feeds.mjs';
+import { exportSearchIndex } from './export-search-index.mjs';
+import { watch } from 'fs';
+import { join, posix } from 'path';
+import { getEmbeddedImageNames } from './lib/assets.mjs';
+import { IGNORE_RULE_FILES } from './lib/ignore.mjs';
+import {
+  assertVaultPath,
+  loadVaultNotes,
+  resetDiffReport,
+  config,
+  OUTPUT_PATH,
+  VAULT_PATH,
+} from './lib/utils.mjs';
+import {
+  COLLECTIONS,
+  findExcluded,
+  getCollections,
+  warnMultipleCollections,
+} from './lib/collections.mjs';
+
+// Exporter per collection key, used by watch mode to re-run only what changed
+const EXPORTERS = {
+  books: exportBooks,
+  series: exportSeries,
+  movies: exportMovies,
+  digitalGarden: exportDigitalGarden,
+  timeline: exportTimeline,
+  bookmarks: exportBookmarks,
+};
+
+// Quiet period after the last file event before re-exporting
+const WATCH_DEBOUNCE_MS = 500;
 
 async function exportAll() {
   console.log('=== Obsidian Data Export ===\n');
 
+  // Bail out once up front instead of failing every exporter separately
+  assertVaultPath();
+
+  // Scan and parse the vault once, then share the notes with every exporter
+  const notes = await loadVaultNotes();
+  console.log(`Scanned ${notes.length} notes`);
+  warnMultipleCollections(notes);
+  console.log();
+
   const results = {};
 
   try {
-    results.books = await exportBooks();
+    results.books = await exportBooks(notes);
   } catch (err) {
     console.error('Failed to export books:', err.message);
+    process.exitCode = 1;
   }
 
   try {
-    results.series = await exportSeries();
+    results.series = await exportSeries(notes);
   } catch (err) {
     console.error('Failed to export series:', err.message);
+    process.exitCode = 1;
   }
 
   try {
-    results.digitalGarden = await exportDigitalGarden();
+    results.movies = await exportMovies(notes);
+  } catch (err) {
+    console.error('Failed to export movies:', err.message);
+    process.exitCode = 1;
+  }
+
+  try {
+    results.digitalGarden = await exportDigitalGarden(notes);
   } catch (err) {
     console.error('Failed to export Digital Garden:', err.message);
+    process.exitCode = 1;
   }
 
   try {
-    results.timeline = await exportTimeline();
+    results.timeline = await exportTimeline(notes);
   } catch (err) {
     console.error('Failed to export Timeline:', err.message);
+    process.exitCode = 1;
   }
 
   try {
-    results.bookmarks = await exportBookmarks();
+    results.bookmarks = await exportBookmarks(notes);
   } catch (err) {
     console.error('Failed to export Bookmarks:', err.message);
+    process.exitCode = 1;
+  }
+
+  // Stats reuse the book and series data exported above
+  try {
+    results.stats = await exportStats({ books: results.books, series: results.series });
+  } catch (err) {
+    console.error('Failed to export stats:', err.message);
+    process.exitCode = 1;
+  }
+
+  // The search index covers every collection exported above
+  try {
+    results.searchIndex = await exportSearchIndex(results);
+  } catch (err) {
+    console.error('Failed to export search index:', err.message);
+    process.exitCode = 1;
+  }
+
+  // Feeds need the website's base URL
+  if (config.siteUrl) {
+    try {
+      results.feeds = await exportFeeds({ bookmarks: results.bookmarks, digitalGarden: results.digitalGarden });
+    } catch (err) {
+      console.error('Failed to export feeds:', err.message);
+      process.exitCode = 1;
+    }
   }
 
   // Summary
   console.log('\n=== Export Complete ===');
   console.log(`Books: ${results.books?.count ?? 0} items`);
   console.log(`Series: ${results.series?.count ?? 0} items`);
+  console.log(`Movies: ${results.movies?.count ?? 0} items`);
   console.log(`Digital Garden: ${results.digitalGarden?.count ?? 0} items`);
   console.log(`Timeline: ${results.timeline?.count ?? 0} items`);
   console.log(`Bookmarks: ${results.bookmarks?.count ?? 0} items`);
-  console.log(`\nOutput: scripts/output/`);
+  console.log(`Stats: ${results.stats ? 'stats.json' : 'failed'}`);
+  console.log(`Search index: ${results.searchIndex ? `${results.searchIndex.count} items` : 'failed'}`);
+  console.log(`Feeds: ${results.feeds ? 'feeds/' : config.siteUrl ? 'failed' : 'skipped (no siteUrl)'}`);
+  console.log(`\nOutput: ${OUTPUT_PATH}${config.dryRun ? ' (dry run, nothing written)' : ''}`);
+
+  if (config.showExcluded) reportExcluded(notes);
+
+  return notes;
+}
+
+/**
+ * List the notes the publishing policy kept out of the export, and why
+ */
+function reportExcluded(notes) {
+  const excluded = findExcluded(notes);
+  console.log(`\n=== Excluded Notes (${excluded.length}) ===`);
+  for (const { collection, note, reason } of excluded) {
+    console.log(`${COLLECTIONS[collection].label}: ${note} - ${reason}`);
+  }
+}
+
+/**
+ * Map each note's path to the collections it belongs to
+ */
+function indexCollections(notes) {
+  return new Map(notes.map(({ data, filePath }) => [filePath, getCollections(data)]));
+}
+
+/**
+ * Map each collection that embeds attachments to the file names of the
+ * images its notes embed
+ */
+function indexEmbeddedImages(notes) {
+  const embedded = new Map();
+  for (const { data, body } of notes) {
+    const keys = getCollections(data).filter((key) => COLLECTIONS[key].embedsAttachments);
+    if (keys.length === 0) continue;
+
+    const names = getEmbeddedImageNames(body);
+    for (const key of keys) {
+      if (!embedded.has(key)) embedded.set(key, new Set());
+      for (const name of names) embedded.get(key).add(name);
+    }
+  }
+  return embedded;
+}
+
+/**
+ * Work out which collections a batch of changed vault paths affects.
+ * A note counts for the collections it belonged to before and after the
+ * change, so moving a note out of a collection still refreshes that export.
+ * Changes inside a collection's cover folder re-run it to re-copy covers;
+ * a changed image re-runs the exports whose notes embed it. Changed ignore
+ * rules can add or remove notes anywhere, so they re-run everything.
+ */
+function findAffectedCollections(changedPaths, previousIndex, currentIndex, embeddedImages) {
+  const affected = new Set();
+
+  for (const relativePath of changedPaths) {
+    if (IGNORE_RULE_FILES.includes(relativePath)) {
+      Object.keys(COLLECTIONS).forEach((key) => affected.add(key));
+      continue;
+    }
+
+    if (relativePath.endsWith('.md')) {
+      const filePath = join(VAULT_PATH, relativePath);
+      for (const key of previousIndex.get(filePath) ?? []) affected.add(key);
+      for (const key of currentIndex.get(filePath) ?? []) affected.add(key);
+    }
+
+    for (const [key, { coverDir, embedsAttachments }] of Object.entries(COLLECTIONS)) {
+      if (coverDir && relativePath.startsWith(`${coverDir}/`)) affected.add(key);
+      if (embedsAttachments && embeddedImages.get(key)?.has(posix.basename(relativePath).toLowerCase())) {
+        affected.add(key);
+      }
+    }
+  }
+
+  return affected;
+}
+
+/**
+ * Watch the vault and re-run only the exporters affected by a change
+ */
+function watchVault(notes) {
+  let index = indexCollections(notes);
+  let timer = null;
+  let queue = Promise.resolve();
+  const changedPaths = new Set();
+
+  const flush = async () => {
+    const batch = [...changedPaths];
+    changedPaths.clear();
+
+    // The parse cache keeps this rescan cheap: only changed notes are re-read
+    const freshNotes = await loadVaultNotes();
+    const freshIndex = indexCollections(freshNotes);
+    const affected = findAffectedCollections(batch, index, freshIndex, indexEmbeddedImages(freshNotes));
+    index = freshIndex;
+
+    if (affected.size === 0) return;
+
+    const labels = [...affected].map((key) => COLLECTIONS[key].label);
+    console.log(`\n[${new Date().toLocaleTimeString()}] Changes in: ${labels.join(', ')}`);
+
+    // --diff-json reports only this run's changes
+    resetDiffReport();
+
+    const results = {};
+    for (const key of affected) {
+      try {
+        results[key] = await EXPORTERS[key](freshNotes);
+      } catch (err) {
+        console.error(`Failed to export ${COLLECTIONS[key].label}:`, err.message);
+      }
+    }
+
+    // Stats depend on books and series; the other one is read from disk
+    if (affected.has('books') || affected.has('series')) {
+      try {
+        await exportStats({ books: results.books, series: results.series });
+      } catch (err) {
+        console.error('Failed to export stats:', err.message);
+      }
+    }
+
+    // The search index covers all collections, unchanged ones are read from disk
+    try {
+      await exportSearchIndex(results);
+    } catch (err) {
+      console.error('Failed to export search index:', err.message);
+    }
+
+    // Feeds depend on bookmarks and the garden the same way
+    if (config.siteUrl && (affected.has('bookmarks') || affected.has('digitalGarden'))) {
+      try {
+        await exportFeeds({ bookmarks: results.bookmarks, digitalGarden: results.digitalGarden });
+      } catch (err) {
+        console.error('Failed to export feeds:', err.message);
+      }
+    }
+  };
+
+  watch(VAULT_PATH, { recursive: true }, (eventType, filename) => {
+    if (!filename) return;
+    const relativePath = filename.split('\\').join('/');
+
+    // Skip Obsidian's own state (.obsidian, .trash) and other dotfiles,
+    // except for the files ignore rules are read from
+    const isDotfile = relativePath.split('/').some((part) => part.startsWith('.'));
+    if (isDotfile && !IGNORE_RULE_FILES.includes(relativePath)) return;
+
+    changedPaths.add(relativePath);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      // Chain runs so a slow export never overlaps with the next one
+      queue = queue.then(flush).catch((err) => console.error('Watch export failed:', err.message));
+    }, WATCH_DEBOUNCE_MS);
+  });
+
+  console.log(`\nWatching ${VAULT_PATH} for changes (Ctrl+C to stop)...`);
 }
 
-exportAll().catch(console.error);
+exportAll()
+  .then((notes) => {
+    if (config.watch) watchVault(notes);
+  })
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
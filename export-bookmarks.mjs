@@ -1,23 +1,24 @@
 #!/usr/bin/env node
 
-import { copyFile, mkdir } from "fs/promises";
 import { existsSync } from "fs";
-import { join, basename, dirname } from "path";
+import { join, basename } from "path";
 import {
-    findMarkdownFiles,
-    parseMarkdownFile,
-    hasKategorie,
+    loadVaultNotes,
     translateKeys,
+    getItemIdentity,
+    ensureUniqueSlugs,
     writeOutput,
+    exportedVerb,
+    copyToOutput,
     getLastUpdated,
     VAULT_PATH,
+    OUTPUT_PATH,
+    config,
 } from "./lib/utils.mjs";
+import { isExported } from "./lib/collections.mjs";
+import { openCoverCache } from "./lib/images.mjs";
 
-const COVERS_DIR = join(
-    dirname(new URL(import.meta.url).pathname),
-    "output",
-    "bookmark-covers"
-);
+const COVERS_DIR = join(OUTPUT_PATH, "bookmark-covers");
 const GITHUB_RAW_BASE = "bookmark-covers"; // Relative path for website build
 
 // Map German frontmatter keys to English JSON keys.
@@ -33,26 +34,23 @@ const KEY_MAP = {
     Type: "type",
 };
 
-async function exportBookmarks() {
+async function exportBookmarks(vaultNotes) {
     console.log("Exporting bookmarks...");
 
-    const files = await findMarkdownFiles("**/*.md");
+    // Reuse the shared vault scan when called from export-all
+    vaultNotes ??= await loadVaultNotes();
+    const covers = await openCoverCache();
     const bookmarks = [];
 
-    for (const filePath of files) {
+    for (const note of vaultNotes) {
+        const { data, filePath } = note;
         try {
-            const { data } = await parseMarkdownFile(filePath);
+            // Skip if not a bookmark, a template or withheld from publishing
+            // (only `Favorit: true` bookmarks are published by default)
+            if (!isExported(note, "bookmarks")) continue;
 
-            // Skip if not a bookmark or is a template
-            if (!hasKategorie(data, "Bookmarks")) continue;
-            if (filePath.includes("Template")) continue;
-
-            // Favorit gate: only `Favorit: true` bookmarks are published.
-            // Strict boolean equality — gray-matter parses YAML `true` to a real bool.
-            if (data.Favorit !== true) continue;
-
-            // Translate keys and clean wikilinks
-            const bookmark = translateKeys(data, KEY_MAP);
+            // Stable id and URL slug, then translated keys with wikilinks cleaned
+            const bookmark = { ...getItemIdentity(filePath, data), ...translateKeys(data, KEY_MAP) };
 
             // Ensure tags is always an array
             if (!bookmark.tags) {
@@ -72,27 +70,29 @@ async function exportBookmarks() {
                     const filename = basename(bookmark.coverLocal);
                     const destPath = join(COVERS_DIR, filename);
 
-                    await mkdir(COVERS_DIR, { recursive: true });
-
                     if (existsSync(sourcePath)) {
-                        await copyFile(sourcePath, destPath);
+                        await copyToOutput(sourcePath, destPath);
                         bookmark.cover = `${GITHUB_RAW_BASE}/${filename}`;
+                        bookmark.coverSet = await covers.createCoverSet(sourcePath, bookmark.cover);
                     } else {
                         console.warn(
                             `  Warning: Cover file not found: ${sourcePath}`
                         );
                         bookmark.cover = null;
+                        bookmark.coverSet = null;
                     }
                 } catch (error) {
                     console.error(
                         `  Error copying cover for ${bookmark.title}: ${error.message}`
                     );
                     bookmark.cover = null;
+                    bookmark.coverSet = null;
                 }
                 delete bookmark.coverLocal;
             } else {
                 // No local cover archived — do not publish the remote URL.
                 bookmark.cover = null;
+                bookmark.coverSet = null;
                 delete bookmark.coverLocal;
             }
 
@@ -102,6 +102,9 @@ async function exportBookmarks() {
         }
     }
 
+    ensureUniqueSlugs(bookmarks, "bookmark");
+    if (!config.dryRun) await covers.save();
+
     // Sort by added date descending (most recently favorited first)
     bookmarks.sort((a, b) => {
         const aDate = a.added ? String(a.added) : "";
@@ -122,7 +125,7 @@ async function exportBookmarks() {
 
     const outputPath = await writeOutput("bookmarks.json", output);
 
-    console.log(`  Exported ${bookmarks.length} bookmarks to ${outputPath}`);
+    console.log(`  ${exportedVerb()} ${bookmarks.length} bookmarks to ${outputPath}`);
     return output;
 }
 
@@ -131,7 +134,10 @@ const isMainModule =
     process.argv[1] &&
     import.meta.url.endsWith(process.argv[1].split("/").pop());
 if (isMainModule || process.argv[1]?.endsWith("export-bookmarks.mjs")) {
-    exportBookmarks().catch(console.error);
+    exportBookmarks().catch((err) => {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
 }
 
-export { exportBookmarks };
+export { exportBookmarks, KEY_MAP };
@@ -1,22 +1,34 @@
 #!/usr/bin/env node
 
-import { copyFile, mkdir } from "fs/promises";
 import { existsSync } from "fs";
-import { join, basename, dirname } from "path";
+import { join, basename } from "path";
 import {
-    findMarkdownFiles,
-    parseMarkdownFile,
-    hasKategorie,
+    loadVaultNotes,
     translateKeys,
+    getItemIdentity,
+    getNoteContent,
+    ensureUniqueSlugs,
     normalizeStatus,
     writeOutput,
+    exportedVerb,
+    copyToOutput,
     getLastUpdated,
+    parseDate,
     VAULT_PATH,
+    OUTPUT_PATH,
+    config,
 } from "./lib/utils.mjs";
+import { isExported } from "./lib/collections.mjs";
+import { getSpineColor, getTextColor, openCoverCache } from "./lib/images.mjs";
+import { extractSections } from "./lib/markdown.mjs";
 
-const COVERS_DIR = join(dirname(new URL(import.meta.url).pathname), "output", "book-covers");
+const COVERS_DIR = join(OUTPUT_PATH, "book-covers");
 const GITHUB_RAW_BASE = "book-covers"; // Relative path for website build
 
+// Body section holding the reading log of active books
+const PROGRESS_HEADING = "Fortschritt";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 // Map German frontmatter keys to English JSON keys
 const KEY_MAP = {
     Titel: "title",
@@ -33,25 +45,144 @@ const KEY_MAP = {
     Hinzugefügt: "added",
     "Farbe Buchrücken": "spineColor",
     "Farbe Text": "textColor",
+    "Aktuelle Seite": "currentPage",
+    Begonnen: "startedAt",
 };
 
-async function exportBooks() {
+/**
+ * Parse a rating as number if possible
+ */
+function parseRating(rating) {
+    if (!rating) return rating;
+    const parsed = parseFloat(rating);
+    return isNaN(parsed) ? rating : parsed;
+}
+
+/**
+ * All reads of a book, oldest first. `Beendet` may be a single date or a
+ * list of dates (re-reads); `Bewertung` may be a single rating for every
+ * read or a list matching the dates.
+ */
+function parseReads(finished, rating) {
+    const dates = [finished ?? []].flat().filter(Boolean);
+    return dates
+        .map((date, i) => ({
+            finished: date,
+            rating: parseRating(Array.isArray(rating) ? rating[i] : rating) ?? null,
+        }))
+        .sort((a, b) => (parseDate(a.finished) ?? 0) - (parseDate(b.finished) ?? 0));
+}
+
+/**
+ * Lightweight entry for an earlier read in another year bucket.
+ * `ref` is the slug of the full book entry; `read` counts from 1.
+ */
+function readReference(book, read, number) {
+    return {
+        ref: book.slug,
+        id: book.id,
+        title: book.title,
+        finished: read.finished,
+        rating: read.rating,
+        read: number,
+    };
+}
+
+/**
+ * Parse the reading log from the "Fortschritt" section of a book note.
+ * Each list item starts with a date followed by the page reached:
+ *   - 2025-09-03: 120
+ *   - 2025-09-10 – S. 245
+ * Returns [{ date, page }] sorted by date.
+ */
+function parseProgressLog(body) {
+    const log = [];
+    for (const line of extractSections(body, [PROGRESS_HEADING]).split("\n")) {
+        const match = line.match(/^\s*[-*+]\s+(\d{4}-\d{2}-\d{2})\b\D*?(\d+)/);
+        if (match) log.push({ date: match[1], page: parseInt(match[2], 10) });
+    }
+    return log.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Day of a date value as YYYY-MM-DD, null if it isn't a date. Written
+ * dates keep their day; YAML dates are parsed as UTC midnight.
+ */
+function toDay(value) {
+    if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+    return parseDate(value)?.toISOString().slice(0, 10) ?? null;
+}
+
+/**
+ * Reading progress for an active book: percent read, pace and an estimated
+ * finish date. The current page comes from `Aktuelle Seite` or the latest
+ * log entry, the start from `Begonnen` or the first log entry.
+ */
+function computeProgress(book, log) {
+    const pages = typeof book.pages === "number" && book.pages > 0 ? book.pages : null;
+    const percent = (page) => (pages ? Math.min(100, Math.round((page / pages) * 100)) : null);
+    const latest = log.at(-1);
+
+    if (typeof book.currentPage !== "number") book.currentPage = latest?.page ?? null;
+    const first = book.startedAt ? { date: book.startedAt, page: 0 } : log.length > 1 ? log[0] : null;
+    book.startedAt = book.startedAt || (log[0]?.date ?? null);
+    book.progress = typeof book.currentPage === "number" ? percent(book.currentPage) : null;
+    book.progressHistory = log.map(({ date, page }) => ({ date, page, progress: percent(page) }));
+
+    // Pace from the start (page 0 on `Begonnen`, else the first log entry)
+    // to the latest log entry. Only dated pages count, so the export stays
+    // the same from day to day; without a log (e.g. only `Aktuelle Seite`)
+    // or with a single entry and no `Begonnen` there is no pace.
+    const start = first ? parseDate(first.date) : null;
+    const reachedAt = latest ? new Date(latest.date) : null;
+    const days = start && reachedAt ? Math.max(1, Math.round((reachedAt - start) / DAY_MS)) : null;
+    const pace = days ? (latest.page - first.page) / days : 0;
+
+    book.pagesPerDay = pace > 0 ? Math.round(pace * 10) / 10 : null;
+    book.estimatedFinish =
+        pace > 0 && pages && latest.page < pages
+            ? toDay(new Date(reachedAt.getTime() + Math.ceil((pages - latest.page) / pace) * DAY_MS))
+            : null;
+}
+
+/**
+ * Fill in the bookshelf colors. A hand-picked `Farbe Buchrücken` wins;
+ * otherwise the spine color is derived from the local cover. An empty
+ * `Farbe Text` is picked for WCAG contrast against the spine.
+ */
+async function resolveSpineColors(book, coverPath) {
+    if (book.spineColor) {
+        book.spineColorSource = "manual";
+    } else if (coverPath) {
+        try {
+            book.spineColor = await getSpineColor(coverPath);
+            book.spineColorSource = "auto";
+        } catch (error) {
+            console.error(`  Error reading spine color for ${book.title}: ${error.message}`);
+        }
+    }
+
+    book.spineColor ??= null;
+    book.spineColorSource ??= null;
+    if (!book.textColor) book.textColor = book.spineColor ? getTextColor(book.spineColor) : null;
+}
+
+async function exportBooks(vaultNotes) {
     console.log("Exporting books...");
 
-    // Find all markdown files in Clippings/Books
-    const files = await findMarkdownFiles("**/*.md");
+    // Reuse the shared vault scan when called from export-all
+    vaultNotes ??= await loadVaultNotes();
+    const covers = await openCoverCache();
     const books = [];
 
-    for (const filePath of files) {
+    for (const note of vaultNotes) {
+        const { data, body, filePath } = note;
         try {
-            const { data } = await parseMarkdownFile(filePath);
-
-            // Skip if not a book or is a template
-            if (!hasKategorie(data, "Bücher")) continue;
-            if (filePath.includes("Template")) continue;
+            // Skip if not a book, a template or withheld from publishing
+            if (!isExported(note, "books")) continue;
 
-            // Translate keys and clean wikilinks
-            const book = translateKeys(data, KEY_MAP);
+            // Stable id and URL slug, then translated keys with wikilinks cleaned
+            const book = { ...getItemIdentity(filePath, data), ...translateKeys(data, KEY_MAP) };
 
             // Handle status separately (normalize to array)
             book.status = normalizeStatus(data.Status);
@@ -72,13 +203,36 @@ async function exportBooks() {
                 book.pages = isNaN(parsed) ? book.pages : parsed;
             }
 
-            // Parse rating as number if possible
-            if (book.rating) {
-                const parsed = parseFloat(book.rating);
-                book.rating = isNaN(parsed) ? book.rating : parsed;
+            // Parse current page as number if possible
+            if (book.currentPage) {
+                const parsed = parseInt(book.currentPage, 10);
+                book.currentPage = isNaN(parsed) ? book.currentPage : parsed;
             }
 
+            // Same day format as the reading log (invalid dates are kept
+            // for the schema check)
+            if (book.startedAt) book.startedAt = toDay(book.startedAt) ?? book.startedAt;
+
+            // Progress, pace and reading log for books being read
+            if (book.status[0] === "Aktiv") {
+                computeProgress(book, parseProgressLog(body));
+            }
+
+            // Every read (re-reads have several Beendet dates); finished
+            // and rating describe the latest read
+            book.reads = parseReads(book.finished, book.rating);
+            if (book.reads.length > 0) {
+                book.finished = book.reads.at(-1).finished;
+                book.rating = book.reads.at(-1).rating;
+            } else if (Array.isArray(book.rating)) {
+                book.rating = book.rating.at(-1) ?? null;
+            }
+
+            // Parse rating as number if possible
+            book.rating = parseRating(book.rating);
+
             // Handle cover field: copy local cover and generate GitHub URL
+            let coverPath = null;
             if (book.coverLocal) {
                 try {
                     // Build full paths
@@ -86,45 +240,71 @@ async function exportBooks() {
                     const filename = basename(book.coverLocal);
                     const destPath = join(COVERS_DIR, filename);
 
-                    // Ensure covers directory exists
-                    await mkdir(COVERS_DIR, { recursive: true });
-
-                    // Copy file if source exists
+                    // Copy file if source exists (creates the covers directory)
                     if (existsSync(sourcePath)) {
-                        await copyFile(sourcePath, destPath);
+                        await copyToOutput(sourcePath, destPath);
                         // Set cover to GitHub raw URL
                         book.cover = `${GITHUB_RAW_BASE}/${filename}`;
+                        // Responsive WebP/AVIF variants and placeholder
+                        book.coverSet = await covers.createCoverSet(sourcePath, book.cover);
+                        coverPath = sourcePath;
                     } else {
                         console.warn(`  Warning: Cover file not found: ${sourcePath}`);
                         book.cover = null;
+                        book.coverSet = null;
                     }
                 } catch (error) {
                     console.error(`  Error copying cover for ${book.title}: ${error.message}`);
                     book.cover = null;
+                    book.coverSet = null;
                 }
                 // Remove coverLocal from final output
                 delete book.coverLocal;
             } else if (book.cover) {
                 // External URL exists but no local cover - keep it (shouldn't happen after migration)
+                book.coverSet = null;
                 delete book.coverLocal;
             } else {
                 // No cover at all
                 book.cover = null;
+                book.coverSet = null;
                 delete book.coverLocal;
             }
 
+            await resolveSpineColors(book, coverPath);
+
+            // Opt-in note body (review etc.), private sections stripped
+            const content = getNoteContent(body, "books");
+            if (content !== undefined) book.content = content;
+
             books.push(book);
         } catch (err) {
             console.error(`  Error processing ${filePath}: ${err.message}`);
         }
     }
 
+    ensureUniqueSlugs(books, "book");
+    if (!config.dryRun) await covers.save();
+
     // Group by status
     const aktiv = [];
     const merkliste = [];
     const pausiert = [];
     const abgeschlossen = {};
 
+    // Extract year from finished date
+    const addToYear = (finished, entry) => {
+        const finishedDate = finished ? new Date(finished) : null;
+        const year = finishedDate
+            ? String(finishedDate.getFullYear())
+            : "unknown";
+
+        if (!abgeschlossen[year]) {
+            abgeschlossen[year] = [];
+        }
+        abgeschlossen[year].push(entry);
+    };
+
     for (const book of books) {
         const status = book.status?.[0] || "";
 
@@ -135,17 +315,15 @@ async function exportBooks() {
         } else if (status === "Pausiert") {
             pausiert.push(book);
         } else if (status === "Abgeschlossen") {
-            // Extract year from finished date
-            const finishedDate = book.finished ? new Date(book.finished) : null;
-            const year = finishedDate
-                ? String(finishedDate.getFullYear())
-                : "unknown";
-
-            if (!abgeschlossen[year]) {
-                abgeschlossen[year] = [];
-            }
-            abgeschlossen[year].push(book);
+            addToYear(book.finished, book);
         }
+
+        // Earlier reads show up in their own years as references; the full
+        // entry of a finished book sits in the year of its latest read
+        const earlierReads = status === "Abgeschlossen" ? book.reads.slice(0, -1) : book.reads;
+        earlierReads.forEach((read, i) => {
+            addToYear(read.finished, readReference(book, read, i + 1));
+        });
     }
 
     // Sort each array by finished date (most recent first)
@@ -190,7 +368,7 @@ async function exportBooks() {
 
     const outputPath = await writeOutput("books.json", output);
 
-    console.log(`  Exported ${books.length} books to ${outputPath}`);
+    console.log(`  ${exportedVerb()} ${books.length} books to ${outputPath}`);
     console.log(`    - Aktiv: ${aktiv.length}`);
     console.log(`    - Merkliste: ${merkliste.length}`);
     console.log(`    - Pausiert: ${pausiert.length}`);
@@ -205,7 +383,10 @@ const isMainModule =
     process.argv[1] &&
     import.meta.url.endsWith(process.argv[1].split("/").pop());
 if (isMainModule || process.argv[1]?.endsWith("export-books.mjs")) {
-    exportBooks().catch(console.error);
+    exportBooks().catch((err) => {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
 }
 
-export { exportBooks };
+export { exportBooks, computeProgress, KEY_MAP };
@@ -1,14 +1,21 @@
 #!/usr/bin/env node
 
-import { basename } from "path";
+import { basename, relative } from "path";
 import {
-    findMarkdownFiles,
-    parseMarkdownFile,
-    hasKategorie,
+    loadVaultNotes,
     translateKeys,
+    getItemIdentity,
+    ensureUniqueSlugs,
     writeOutput,
+    exportedVerb,
     getLastUpdated,
+    config,
+    VAULT_PATH,
 } from "./lib/utils.mjs";
+import { createAssetPipeline } from "./lib/assets.mjs";
+import { isExported } from "./lib/collections.mjs";
+import { findWikilinks } from "./lib/markdown.mjs";
+import { buildLinkIndex, createRenderer } from "./lib/render.mjs";
 
 // Map German frontmatter keys to English JSON keys
 const KEY_MAP = {
@@ -19,56 +26,107 @@ const KEY_MAP = {
 };
 
 /**
- * Generate a URL-friendly slug from a filename
+ * Extract title from filename (without .md extension)
  */
-function slugify(filename) {
-    return filename
-        .replace(/\.md$/, "")
-        .toLowerCase()
-        .replace(/[^a-z0-9]+/g, "-")
-        .replace(/^-+|-+$/g, "");
+function getTitleFromPath(filePath) {
+    return basename(filePath, ".md");
 }
 
 /**
- * Extract title from filename (without .md extension)
+ * Resolve every note's wikilinks to garden slugs and fill in `outgoingLinks`
+ * and `backlinks`. Targets are matched like Obsidian does: by note name,
+ * vault-relative path or alias (case-insensitive). Links to notes that
+ * aren't exported at all are reported; links to other collections are
+ * ignored. Returns the graph edges.
  */
-function getTitleFromPath(filePath) {
-    return basename(filePath, ".md");
+function linkNotes(notes, sources, linkIndex) {
+    const bySlug = new Map(notes.map((note) => [note.slug, note]));
+    const byName = new Map();
+    for (const note of notes) {
+        const { filePath, data } = sources.get(note);
+        const names = [
+            basename(filePath, ".md"),
+            relative(VAULT_PATH, filePath).replace(/\.md$/, ""),
+            ...[data.aliases ?? []].flat(),
+        ];
+        for (const name of names) {
+            const lookup = String(name).toLowerCase();
+            if (!byName.has(lookup)) byName.set(lookup, note.slug);
+        }
+    }
+
+    const edges = [];
+    for (const note of notes) {
+        const { body } = sources.get(note);
+        const outgoing = new Set();
+
+        for (const { target } of findWikilinks(body)) {
+            // [[#Heading]] links and attachment embeds aren't note links
+            if (!target || /\.(?!md$)[a-z0-9]+$/i.test(target)) continue;
+
+            const lookup = target.replace(/\.md$/i, "").toLowerCase();
+            const slug = byName.get(lookup);
+            if (slug) {
+                if (slug !== note.slug) outgoing.add(slug);
+            } else if (!linkIndex.has(lookup)) {
+                console.warn(`  Warning: "${note.title}" links to unpublished note "${target}"`);
+            }
+        }
+
+        note.outgoingLinks = [...outgoing];
+        note.backlinks = [];
+        for (const target of outgoing) edges.push({ source: note.slug, target });
+    }
+
+    for (const { source, target } of edges) {
+        bySlug.get(target).backlinks.push(source);
+    }
+    for (const note of notes) note.backlinks.sort();
+
+    return edges;
 }
 
-async function exportDigitalGarden() {
+async function exportDigitalGarden(vaultNotes) {
     console.log("Exporting Digital Garden notes...");
 
-    // Find all markdown files
-    const files = await findMarkdownFiles("**/*.md");
+    // Reuse the shared vault scan when called from export-all
+    vaultNotes ??= await loadVaultNotes();
+
+    // Wikilinks are resolved against all exports (for HTML and the graph)
+    const linkIndex = buildLinkIndex(vaultNotes);
+    const render = config.render ? createRenderer({ linkIndex }) : null;
+    // Embedded images are copied to output/garden-assets/
+    const rewriteAssets = await createAssetPipeline();
     const notes = [];
+    const sources = new Map();
 
-    for (const filePath of files) {
+    for (const vaultNote of vaultNotes) {
+        const { data, body, filePath } = vaultNote;
         try {
-            const { data, body } = await parseMarkdownFile(filePath);
+            // Skip if not a Digital Garden note, a template or withheld from publishing
+            if (!isExported(vaultNote, "digitalGarden")) continue;
 
-            // Skip if not a Digital Garden note or is a template
-            if (!hasKategorie(data, "Digital Garden")) continue;
-            if (filePath.includes("Template")) continue;
-
-            // Translate keys and clean wikilinks
-            const note = translateKeys(data, KEY_MAP);
+            // Stable id and URL slug, then translated keys with wikilinks cleaned
+            const note = { ...getItemIdentity(filePath, data), ...translateKeys(data, KEY_MAP) };
 
             // Add title from filename
             note.title = getTitleFromPath(filePath);
 
-            // Add slug
-            note.slug = slugify(basename(filePath));
-
-            // Add content (the body of the markdown file)
-            note.content = body.trim();
+            // Add content (the body of the markdown file), with image
+            // embeds pointing at the exported copies
+            note.content = await rewriteAssets(body.trim(), filePath);
+            if (render) note.contentHtml = render(note.content);
 
             notes.push(note);
+            sources.set(note, { filePath, data, body });
         } catch (err) {
             console.error(`  Error processing ${filePath}: ${err.message}`);
         }
     }
 
+    ensureUniqueSlugs(notes, "Digital Garden");
+    const edges = linkNotes(notes, sources, linkIndex);
+
     // Group by thema
     const byThema = {};
 
@@ -111,12 +169,24 @@ async function exportDigitalGarden() {
 
     const outputPath = await writeOutput("digital-garden.json", output);
 
+    // Link graph: one node per note, one edge per linked note pair
+    const graph = {
+        nodes: notes.map(({ id, slug, title, thema }) => ({ id, slug, title, thema: thema ?? null })),
+        edges,
+    };
+    const graphPath = await writeOutput("digital-garden-graph.json", {
+        lastUpdated: await getLastUpdated("digital-garden-graph.json", graph),
+        count: graph.nodes.length,
+        ...graph,
+    });
+
     console.log(
-        `  Exported ${notes.length} Digital Garden notes to ${outputPath}`
+        `  ${exportedVerb()} ${notes.length} Digital Garden notes to ${outputPath}`
     );
     for (const [thema, themeNotes] of Object.entries(sortedByThema)) {
         console.log(`    - ${thema}: ${themeNotes.length}`);
     }
+    console.log(`  ${exportedVerb()} link graph (${edges.length} links) to ${graphPath}`);
     return output;
 }
 
@@ -125,7 +195,10 @@ const isMainModule =
     process.argv[1] &&
     import.meta.url.endsWith(process.argv[1].split("/").pop());
 if (isMainModule || process.argv[1]?.endsWith("export-digital-garden.mjs")) {
-    exportDigitalGarden().catch(console.error);
+    exportDigitalGarden().catch((err) => {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
 }
 
-export { exportDigitalGarden };
+export { exportDigitalGarden, KEY_MAP };
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+import { statSync } from "fs";
+import { mkdir, writeFile } from "fs/promises";
+import { join } from "path";
+import { COLLECTIONS, getItemUrl } from "./lib/collections.mjs";
+import { getMimeType, renderAtom, renderJsonFeed, renderRss } from "./lib/feeds.mjs";
+import { CONFIG_FILENAME } from "./lib/config.mjs";
+import { parseDate, readOutput, exportedVerb, config, OUTPUT_PATH } from "./lib/utils.mjs";
+
+const FEEDS_DIR = "feeds";
+
+// Most recent entries per feed
+const FEED_LIMIT = 50;
+
+/**
+ * Base URLs for links (`siteUrl`) and exported files like covers and garden
+ * assets (`assetsUrl`, defaults to the site), with a trailing slash
+ */
+function getBaseUrls() {
+    if (!config.siteUrl) {
+        throw new Error(`Config error: feeds need a "siteUrl" in ${CONFIG_FILENAME}`);
+    }
+    const withSlash = (url) => (url.endsWith("/") ? url : `${url}/`);
+    return {
+        site: withSlash(config.siteUrl),
+        assets: withSlash(config.assetsUrl ?? config.siteUrl),
+    };
+}
+
+/**
+ * Feed author from `feedAuthor` (a name or { name, email, url }), the
+ * site's host name if unset. Atom requires one.
+ */
+function getFeedAuthor(base) {
+    const author = typeof config.feedAuthor === "string" ? { name: config.feedAuthor } : config.feedAuthor;
+    if (!author?.name) return { name: new URL(base.site).hostname, email: null, url: base.site };
+    return { name: author.name, email: author.email ?? null, url: author.url ?? null };
+}
+
+/**
+ * Make an URL absolute: "/garden/x" is a site page, "garden-assets/x.webp"
+ * a file from the output folder. Absolute URLs and anchors stay as they are.
+ */
+function absoluteUrl(url, base) {
+    if (/^([a-z][a-z0-9+.-]*:|#|\/\/)/i.test(url)) return url;
+    return new URL(url.replace(/^\//, ""), url.startsWith("/") ? base.site : base.assets).href;
+}
+
+/**
+ * Point relative src/href attributes in rendered HTML at absolute URLs,
+ * since feed readers show the content outside the website
+ */
+function absolutizeHtml(html, base) {
+    return html.replace(/(\s(?:src|href))="([^"]*)"/g, (_, attribute, url) => `${attribute}="${absoluteUrl(url, base)}"`);
+}
+
+/**
+ * Absolute website URL of an item, null if its collection has no page
+ */
+function getAbsoluteItemUrl(collection, item, base) {
+    const url = getItemUrl(collection, item);
+    return url ? absoluteUrl(url, base) : null;
+}
+
+/**
+ * Enclosure for an exported cover (size from the copied file, 0 if missing)
+ */
+function getEnclosure(cover, base) {
+    if (!cover) return null;
+    let length = 0;
+    try {
+        length = statSync(join(OUTPUT_PATH, cover)).size;
+    } catch (err) {
+        // Remote cover or dry run - the size is unknown
+    }
+    const url = absoluteUrl(cover, base);
+    return { url, type: getMimeType(url), length };
+}
+
+/**
+ * Newest items first, limited to FEED_LIMIT; items without a date go last
+ */
+function newestFirst(items) {
+    return items
+        .sort((a, b) => (b.published ?? b.updated ?? 0) - (a.published ?? a.updated ?? 0))
+        .slice(0, FEED_LIMIT);
+}
+
+/**
+ * Feed envelope shared by all formats
+ */
+function createFeed(name, { title, description }, items, base) {
+    const feedUrl = (extension) => absoluteUrl(`${FEEDS_DIR}/${name}.${extension}`, base);
+    const dates = items.map((item) => item.updated ?? item.published).filter(Boolean);
+    return {
+        title,
+        description,
+        homeUrl: base.site,
+        feedUrls: { rss: feedUrl("xml"), atom: feedUrl("atom"), json: feedUrl("json") },
+        author: getFeedAuthor(base),
+        updated: dates.length > 0 ? new Date(Math.max(...dates)) : new Date(0),
+        items,
+    };
+}
+
+/**
+ * Bookmarks feed, ordered by `added`. Entries link to the bookmarked page.
+ */
+function bookmarksFeed(bookmarks, base) {
+    const items = bookmarks.items.map((bookmark) => {
+        const url = getAbsoluteItemUrl("bookmarks", bookmark, base) ?? bookmark.url;
+        return {
+            id: url,
+            url,
+            title: bookmark.title,
+            summary: bookmark.description ?? null,
+            contentHtml: null,
+            published: parseDate(bookmark.added),
+            updated: null,
+            categories: bookmark.tags ?? [],
+            enclosure: getEnclosure(bookmark.cover, base),
+        };
+    });
+
+    return createFeed(
+        "bookmarks",
+        { title: COLLECTIONS.bookmarks.label, description: "Favorite bookmarks" },
+        newestFirst(items),
+        base
+    );
+}
+
+/**
+ * Digital Garden feed, ordered by `edited` (falling back to `created`).
+ * Uses the rendered HTML when the garden was exported with --render.
+ */
+function gardenFeed(garden, base) {
+    const { lastUpdated: _, count: __, ...themes } = garden;
+    const items = Object.values(themes)
+        .flat()
+        .map((note) => {
+            const url = getAbsoluteItemUrl("digitalGarden", note, base);
+            const created = parseDate(note.created);
+            return {
+                id: url ?? `${base.site}#${note.id}`,
+                url,
+                title: note.title,
+                summary: note.description ?? null,
+                contentHtml: note.contentHtml ? absolutizeHtml(note.contentHtml, base) : null,
+                published: created,
+                updated: parseDate(note.edited) ?? created,
+                categories: [note.thema].flat().filter(Boolean),
+                enclosure: null,
+            };
+        })
+        .sort((a, b) => (b.updated ?? 0) - (a.updated ?? 0))
+        .slice(0, FEED_LIMIT);
+
+    return createFeed(
+        "garden",
+        { title: COLLECTIONS.digitalGarden.label, description: "Recently edited Digital Garden notes" },
+        items,
+        base
+    );
+}
+
+/**
+ * Write one feed in all three formats (nothing in a dry run)
+ */
+async function writeFeed(name, feed) {
+    const files = {
+        [`${name}.xml`]: renderRss(feed),
+        [`${name}.atom`]: renderAtom(feed),
+        [`${name}.json`]: renderJsonFeed(feed),
+    };
+    if (config.dryRun) return;
+
+    await mkdir(join(OUTPUT_PATH, FEEDS_DIR), { recursive: true });
+    for (const [file, content] of Object.entries(files)) {
+        await writeFile(join(OUTPUT_PATH, FEEDS_DIR, file), content);
+    }
+}
+
+/**
+ * Write RSS, Atom and JSON feeds for bookmarks and the Digital Garden to
+ * output/feeds/. export-all passes the freshly exported data; standalone,
+ * the last bookmarks.json and digital-garden.json are used.
+ */
+async function exportFeeds({ bookmarks, digitalGarden } = {}) {
+    console.log("Exporting feeds...");
+
+    const base = getBaseUrls();
+    bookmarks ??= await readOutput("bookmarks.json");
+    digitalGarden ??= await readOutput("digital-garden.json");
+
+    const feeds = {
+        bookmarks: bookmarksFeed(bookmarks, base),
+        garden: gardenFeed(digitalGarden, base),
+    };
+
+    for (const [name, feed] of Object.entries(feeds)) {
+        await writeFeed(name, feed);
+        console.log(`  ${exportedVerb()} ${feed.items.length} ${name} entries to ${FEEDS_DIR}/${name}.{xml,atom,json}`);
+    }
+    return feeds;
+}
+
+// Run if called directly
+const isMainModule =
+    process.argv[1] &&
+    import.meta.url.endsWith(process.argv[1].split("/").pop());
+if (isMainModule || process.argv[1]?.endsWith("export-feeds.mjs")) {
+    exportFeeds().catch((err) => {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
+}
+
+export { exportFeeds };
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+import { existsSync } from "fs";
+import { join, basename } from "path";
+import {
+    loadVaultNotes,
+    translateKeys,
+    getItemIdentity,
+    getNoteContent,
+    ensureUniqueSlugs,
+    normalizeStatus,
+    writeOutput,
+    exportedVerb,
+    copyToOutput,
+    getLastUpdated,
+    VAULT_PATH,
+    OUTPUT_PATH,
+} from "./lib/utils.mjs";
+import { isExported } from "./lib/collections.mjs";
+
+const POSTERS_DIR = join(OUTPUT_PATH, "movie-posters");
+const GITHUB_RAW_BASE = "movie-posters"; // Relative path for website build
+
+// Map German frontmatter keys to English JSON keys
+const KEY_MAP = {
+    Titel: "title",
+    Genre: "genre",
+    Regisseur: "director",
+    Bewertung: "rating",
+    scoreImdb: "imdbScore",
+    cast: "cast",
+    Cover: "cover",
+    "Cover (lokal)": "coverLocal",
+    Erschienen: "released",
+    Beendet: "finished",
+    Hinzugefügt: "added",
+    Favorit: "favorite",
+};
+
+/**
+ * Parse a number if possible, keeping the original value otherwise
+ * (so the schema check reports it)
+ */
+function parseScore(value) {
+    if (!value) return value;
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? value : parsed;
+}
+
+async function exportMovies(vaultNotes) {
+    console.log("Exporting movies...");
+
+    // Reuse the shared vault scan when called from export-all
+    vaultNotes ??= await loadVaultNotes();
+    const movies = [];
+
+    for (const note of vaultNotes) {
+        const { data, body, filePath } = note;
+        try {
+            // Skip if not a movie, a template or withheld from publishing
+            if (!isExported(note, "movies")) continue;
+
+            // Stable id and URL slug, then translated keys with wikilinks cleaned
+            const movie = { ...getItemIdentity(filePath, data), ...translateKeys(data, KEY_MAP) };
+
+            // Handle status separately (normalize to array)
+            movie.status = normalizeStatus(data.Status);
+
+            // Ensure genre, director and cast are always arrays
+            for (const key of ["genre", "director", "cast"]) {
+                if (movie[key] && !Array.isArray(movie[key])) {
+                    movie[key] = [movie[key]];
+                }
+            }
+
+            movie.rating = parseScore(movie.rating);
+            movie.imdbScore = parseScore(movie.imdbScore);
+
+            // Handle poster: copy local poster and generate relative URL
+            if (movie.coverLocal) {
+                try {
+                    const sourcePath = join(VAULT_PATH, movie.coverLocal);
+                    const filename = basename(movie.coverLocal);
+                    const destPath = join(POSTERS_DIR, filename);
+
+                    if (existsSync(sourcePath)) {
+                        await copyToOutput(sourcePath, destPath);
+                        movie.cover = `${GITHUB_RAW_BASE}/${filename}`;
+                    } else {
+                        console.warn(`  Warning: Poster file not found: ${sourcePath}`);
+                        movie.cover = null;
+                    }
+                } catch (error) {
+                    console.error(`  Error copying poster for ${movie.title}: ${error.message}`);
+                    movie.cover = null;
+                }
+            } else {
+                // Remote URL (not archived yet) or no poster at all
+                movie.cover = movie.cover || null;
+            }
+            delete movie.coverLocal;
+
+            // Opt-in note body (review etc.), private sections stripped
+            const content = getNoteContent(body, "movies");
+            if (content !== undefined) movie.content = content;
+
+            movies.push(movie);
+        } catch (err) {
+            console.error(`  Error processing ${filePath}: ${err.message}`);
+        }
+    }
+
+    ensureUniqueSlugs(movies, "movie");
+
+    // Group by status
+    const aktiv = [];
+    const merkliste = [];
+    const pausiert = [];
+    const abgeschlossen = {};
+
+    for (const movie of movies) {
+        const status = movie.status?.[0] || "";
+
+        if (status === "Aktiv") {
+            aktiv.push(movie);
+        } else if (status === "Merkliste") {
+            merkliste.push(movie);
+        } else if (status === "Pausiert") {
+            pausiert.push(movie);
+        } else if (status === "Abgeschlossen") {
+            // Extract year from finished date
+            const finishedDate = movie.finished ? new Date(movie.finished) : null;
+            const year = finishedDate ? String(finishedDate.getFullYear()) : "unknown";
+
+            if (!abgeschlossen[year]) {
+                abgeschlossen[year] = [];
+            }
+            abgeschlossen[year].push(movie);
+        }
+    }
+
+    // Sort each array by finished date (most recent first)
+    const sortByFinished = (a, b) => {
+        const aDate = a.finished ? String(a.finished) : "";
+        const bDate = b.finished ? String(b.finished) : "";
+        if (!aDate && !bDate) return 0;
+        if (!aDate) return 1;
+        if (!bDate) return -1;
+        return bDate.localeCompare(aDate);
+    };
+
+    aktiv.sort(sortByFinished);
+    merkliste.sort(sortByFinished);
+    pausiert.sort(sortByFinished);
+
+    // Sort within each year
+    for (const year of Object.keys(abgeschlossen)) {
+        abgeschlossen[year].sort(sortByFinished);
+    }
+
+    // Sort years descending (most recent first)
+    const sortedAbgeschlossen = {};
+    Object.keys(abgeschlossen)
+        .sort((a, b) => b.localeCompare(a))
+        .forEach((year) => {
+            sortedAbgeschlossen[year] = abgeschlossen[year];
+        });
+
+    const dataForComparison = {
+        aktiv,
+        merkliste,
+        pausiert,
+        abgeschlossen: sortedAbgeschlossen,
+    };
+
+    const output = {
+        lastUpdated: await getLastUpdated("movies.json", dataForComparison),
+        count: movies.length,
+        ...dataForComparison,
+    };
+
+    const outputPath = await writeOutput("movies.json", output);
+
+    console.log(`  ${exportedVerb()} ${movies.length} movies to ${outputPath}`);
+    console.log(`    - Aktiv: ${aktiv.length}`);
+    console.log(`    - Merkliste: ${merkliste.length}`);
+    console.log(`    - Pausiert: ${pausiert.length}`);
+    console.log(`    - Abgeschlossen: ${Object.keys(sortedAbgeschlossen).length} years`);
+    return output;
+}
+
+// Run if called directly
+const isMainModule =
+    process.argv[1] &&
+    import.meta.url.endsWith(process.argv[1].split("/").pop());
+if (isMainModule || process.argv[1]?.endsWith("export-movies.mjs")) {
+    exportMovies().catch((err) => {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
+}
+
+export { exportMovies, KEY_MAP };
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+import { COLLECTIONS, getItemUrl } from "./lib/collections.mjs";
+import { collectItems } from "./lib/diff.mjs";
+import { createSearchIndex } from "./lib/search.mjs";
+import { writeOutput, readOutput, exportedVerb, getLastUpdated } from "./lib/utils.mjs";
+
+// Searchable fields per collection (see FIELD_WEIGHTS in lib/search.mjs)
+const SEARCH_FIELDS = {
+    books: (book) => ({ title: book.title, creators: book.author, tags: book.genre, body: book.content }),
+    series: (show) => ({
+        title: show.title,
+        creators: [show.director, show.cast].flat(),
+        tags: show.genre,
+        body: show.content,
+    }),
+    movies: (movie) => ({
+        title: movie.title,
+        creators: [movie.director, movie.cast].flat(),
+        tags: movie.genre,
+        body: movie.content,
+    }),
+    digitalGarden: (note) => ({
+        title: note.title,
+        tags: note.thema,
+        description: note.description,
+        body: note.content,
+    }),
+    timeline: (entry) => ({
+        title: entry.title,
+        tags: [entry.type, entry.domain, entry.tags].flat(),
+        body: entry.content,
+    }),
+    bookmarks: (bookmark) => ({ title: bookmark.title, tags: bookmark.tags, description: bookmark.description }),
+};
+
+/**
+ * Write search-index.json: an inverted index over titles, authors and
+ * directors, tags, descriptions and note bodies of every collection, plus
+ * the documents the website shows as results. export-all passes the
+ * freshly exported data; standalone, the last exports are read from disk.
+ */
+async function exportSearchIndex(exports = {}) {
+    console.log("Exporting search index...");
+
+    const entries = [];
+    for (const [collection, getFields] of Object.entries(SEARCH_FIELDS)) {
+        const { output } = COLLECTIONS[collection];
+        const data = exports[collection] ?? (await readOutput(output));
+
+        for (const item of collectItems(output, data).values()) {
+            entries.push({
+                document: {
+                    collection,
+                    id: item.id,
+                    slug: item.slug,
+                    title: item.title,
+                    url: getItemUrl(collection, item),
+                },
+                fields: getFields(item),
+            });
+        }
+    }
+
+    const dataForComparison = createSearchIndex(entries);
+
+    const output = {
+        lastUpdated: await getLastUpdated("search-index.json", dataForComparison),
+        count: entries.length,
+        ...dataForComparison,
+    };
+
+    const outputPath = await writeOutput("search-index.json", output, { compact: true });
+
+    console.log(`  ${exportedVerb()} ${entries.length} indexed items (${Object.keys(output.index).length} terms) to ${outputPath}`);
+    return output;
+}
+
+// Run if called directly
+const isMainModule =
+    process.argv[1] &&
+    import.meta.url.endsWith(process.argv[1].split("/").pop());
+if (isMainModule || process.argv[1]?.endsWith("export-search-index.mjs")) {
+    exportSearchIndex().catch((err) => {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
+}
+
+export { exportSearchIndex };
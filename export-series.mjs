@@ -1,14 +1,29 @@
 #!/usr/bin/env node
 
+import { existsSync } from 'fs';
 import {
-  findMarkdownFiles,
-  parseMarkdownFile,
-  hasKategorie,
+  loadVaultNotes,
   translateKeys,
+  getItemIdentity,
+  getNoteContent,
+  ensureUniqueSlugs,
   normalizeStatus,
   writeOutput,
+  exportedVerb,
   getLastUpdated,
+  copyToOutput,
+  cleanWikilinks,
+  parseDate,
+  getExcludeReason,
+  VAULT_PATH,
+  OUTPUT_PATH,
 } from './lib/utils.mjs';
+import { basename, join } from 'path';
+import { COLLECTIONS, isExported, isSeasonNote } from './lib/collections.mjs';
+import { parseWikilink } from './lib/markdown.mjs';
+
+const COVERS_DIR = join(OUTPUT_PATH, 'series-covers');
+const GITHUB_RAW_BASE = 'series-covers'; // Relative path for website build
 
 // Map German frontmatter keys to English JSON keys
 const KEY_MAP = {
@@ -20,29 +35,127 @@ const KEY_MAP = {
   'scoreImdb': 'imdbScore',
   'cast': 'cast',
   'Cover': 'cover',
+  'Cover (lokal)': 'coverLocal',
   'Erschienen': 'released',
   'Beendet': 'finished',
   'Hinzugefügt': 'added',
   'Favorit': 'favorite'
 };
 
-async function exportSeries() {
+// Map German season keys (entries of a `Staffeln` list or season notes)
+const SEASON_KEY_MAP = {
+  'Staffel': 'number',
+  'Titel': 'title',
+  'Beendet': 'finished',
+  'Bewertung': 'rating',
+  'Folgen': 'episodes',
+  'Gesehen': 'episodesWatched'
+};
+
+/**
+ * Parse a number if possible: null for empty values, the original value if
+ * it isn't numeric (so the schema check reports it)
+ */
+function parseNumber(value, parse) {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = parse(value);
+  return isNaN(parsed) ? value : parsed;
+}
+
+/**
+ * Build a season from a `Staffeln` list entry or a season note's frontmatter.
+ * A finished season without `Gesehen` counts as fully watched.
+ */
+function parseSeason(data) {
+  const raw = translateKeys(data, SEASON_KEY_MAP);
+  const season = {
+    number: parseNumber(raw.number, (v) => parseInt(v, 10)),
+    ...(raw.title && { title: raw.title }),
+    finished: raw.finished || null,
+    rating: parseNumber(raw.rating, parseFloat),
+    episodes: parseNumber(raw.episodes, (v) => parseInt(v, 10)),
+    episodesWatched: parseNumber(raw.episodesWatched, (v) => parseInt(v, 10)),
+  };
+
+  if (season.episodesWatched === null && season.finished && typeof season.episodes === 'number') {
+    season.episodesWatched = season.episodes;
+  }
+  return season;
+}
+
+/**
+ * Seasons with a valid finish date, oldest first
+ */
+function getFinishedSeasons(show) {
+  return show.seasons
+    .filter((season) => parseDate(season.finished))
+    .sort((a, b) => parseDate(a.finished) - parseDate(b.finished));
+}
+
+/**
+ * Lightweight entry for a season finished in another year than the show's
+ * full entry. `ref` is the slug of the full show entry.
+ */
+function seasonReference(show, season) {
+  return {
+    ref: show.slug,
+    id: show.id,
+    title: show.title,
+    finished: season.finished,
+    rating: season.rating,
+    season: season.number,
+  };
+}
+
+/**
+ * Collect season notes: series notes with a `Serie` link to a show note.
+ * Returns a Map of show filePath → seasons. Season notes that link to an
+ * unknown show are reported.
+ */
+function collectSeasonNotes(vaultNotes, showNotes) {
+  const showsByName = new Map();
+  for (const { data, filePath } of showNotes) {
+    for (const name of [basename(filePath, '.md'), ...[data.aliases ?? []].flat()]) {
+      showsByName.set(String(name).toLowerCase(), filePath);
+    }
+  }
+
+  const seasonsByShow = new Map();
+  for (const note of vaultNotes) {
+    const { data, filePath } = note;
+    if (!isSeasonNote(data)) continue;
+    // Season notes follow the same publishing policy as shows
+    if (getExcludeReason(note, 'series', COLLECTIONS.series)) continue;
+
+    const { target } = parseWikilink(String(cleanWikilinks(data.Serie)));
+    const showPath = showsByName.get(target.toLowerCase());
+    if (!showPath) {
+      console.warn(`  Warning: Season note ${filePath} links to unknown show "${target}"`);
+      continue;
+    }
+
+    if (!seasonsByShow.has(showPath)) seasonsByShow.set(showPath, []);
+    seasonsByShow.get(showPath).push(parseSeason(data));
+  }
+  return seasonsByShow;
+}
+
+async function exportSeries(vaultNotes) {
   console.log('Exporting series...');
 
-  // Find all markdown files (series could be in Notes or elsewhere)
-  const files = await findMarkdownFiles('**/*.md');
+  // Reuse the shared vault scan when called from export-all
+  vaultNotes ??= await loadVaultNotes();
   const series = [];
 
-  for (const filePath of files) {
-    try {
-      const { data } = await parseMarkdownFile(filePath);
+  // Show notes, and season notes linked to them via `Serie`
+  const showNotes = vaultNotes.filter((note) => isExported(note, 'series'));
+  const seasonsByShow = collectSeasonNotes(vaultNotes, showNotes);
 
-      // Skip if not a series or is a template
-      if (!hasKategorie(data, 'Serien')) continue;
-      if (filePath.includes('Template')) continue;
+  for (const { data, body, filePath } of showNotes) {
+    try {
 
-      // Translate keys and clean wikilinks
-      const show = translateKeys(data, KEY_MAP);
+      // Stable id and URL slug, then translated keys with wikilinks cleaned
+      const show = { ...getItemIdentity(filePath, data), ...translateKeys(data, KEY_MAP) };
 
       // Handle status separately (normalize to array)
       show.status = normalizeStatus(data.Status);
@@ -75,18 +188,78 @@ async function exportSeries() {
         show.season = isNaN(parsed) ? show.season : parsed;
       }
 
+      // Handle cover field: copy local cover and generate relative URL
+      if (show.coverLocal) {
+        try {
+          const sourcePath = join(VAULT_PATH, show.coverLocal);
+          const filename = basename(show.coverLocal);
+          const destPath = join(COVERS_DIR, filename);
+
+          // Copy file if source exists (creates the covers directory)
+          if (existsSync(sourcePath)) {
+            await copyToOutput(sourcePath, destPath);
+            show.cover = `${GITHUB_RAW_BASE}/${filename}`;
+          } else {
+            console.warn(`  Warning: Cover file not found: ${sourcePath}`);
+            show.cover = null;
+          }
+        } catch (error) {
+          console.error(`  Error copying cover for ${show.title}: ${error.message}`);
+          show.cover = null;
+        }
+      } else {
+        // Remote URL (not archived yet, see scripts/series) or no cover at all
+        show.cover = show.cover || null;
+      }
+      delete show.coverLocal;
+
+      // Seasons from the `Staffeln` list and from season notes, by number
+      show.seasons = [data.Staffeln ?? []]
+        .flat()
+        .filter((entry) => entry && typeof entry === 'object')
+        .map(parseSeason)
+        .concat(seasonsByShow.get(filePath) ?? [])
+        .sort((a, b) => (a.number ?? Infinity) - (b.number ?? Infinity));
+
+      // Total episodes watched, where seasons give episode counts
+      const watched = show.seasons.map((season) => season.episodesWatched).filter((n) => typeof n === 'number');
+      show.episodesWatched = watched.length > 0 ? watched.reduce((sum, n) => sum + n, 0) : null;
+
+      // Without its own Beendet date, a show is finished with its latest season
+      const finishedSeasons = getFinishedSeasons(show);
+      if (!show.finished && finishedSeasons.length > 0) {
+        show.finished = finishedSeasons.at(-1).finished;
+      }
+
+      // Opt-in note body (review etc.), private sections stripped
+      const content = getNoteContent(body, 'series');
+      if (content !== undefined) show.content = content;
+
       series.push(show);
     } catch (err) {
       console.error(`  Error processing ${filePath}: ${err.message}`);
     }
   }
 
+  ensureUniqueSlugs(series, 'series');
+
   // Group by status
   const aktiv = [];
   const merkliste = [];
   const pausiert = [];
   const abgeschlossen = {};
 
+  // Extract year from finished date
+  const addToYear = (finished, entry) => {
+    const finishedDate = finished ? new Date(finished) : null;
+    const year = finishedDate ? String(finishedDate.getFullYear()) : 'unknown';
+
+    if (!abgeschlossen[year]) {
+      abgeschlossen[year] = [];
+    }
+    abgeschlossen[year].push(entry);
+  };
+
   for (const show of series) {
     const status = show.status?.[0] || '';
 
@@ -97,14 +270,15 @@ async function exportSeries() {
     } else if (status === 'Pausiert') {
       pausiert.push(show);
     } else if (status === 'Abgeschlossen') {
-      // Extract year from finished date
-      const finishedDate = show.finished ? new Date(show.finished) : null;
-      const year = finishedDate ? String(finishedDate.getFullYear()) : 'unknown';
+      addToYear(show.finished, show);
+    }
 
-      if (!abgeschlossen[year]) {
-        abgeschlossen[year] = [];
-      }
-      abgeschlossen[year].push(show);
+    // Finished seasons show up in the year they were finished as references;
+    // the full entry of a finished show stands for its latest season
+    const finishedSeasons = getFinishedSeasons(show);
+    const earlierSeasons = status === 'Abgeschlossen' ? finishedSeasons.slice(0, -1) : finishedSeasons;
+    for (const season of earlierSeasons) {
+      addToYear(season.finished, seasonReference(show, season));
     }
   }
 
@@ -150,7 +324,7 @@ async function exportSeries() {
 
   const outputPath = await writeOutput('series.json', output);
 
-  console.log(`  Exported ${series.length} series to ${outputPath}`);
+  console.log(`  ${exportedVerb()} ${series.length} series to ${outputPath}`);
   console.log(`    - Aktiv: ${aktiv.length}`);
   console.log(`    - Merkliste: ${merkliste.length}`);
   console.log(`    - Pausiert: ${pausiert.length}`);
@@ -161,7 +335,10 @@ async function exportSeries() {
 // Run if called directly
 const isMainModule = process.argv[1] && import.meta.url.endsWith(process.argv[1].split('/').pop());
 if (isMainModule || process.argv[1]?.endsWith('export-series.mjs')) {
-  exportSeries().catch(console.error);
+  exportSeries().catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
 }
 
-export { exportSeries };
+export { exportSeries, KEY_MAP, SEASON_KEY_MAP };
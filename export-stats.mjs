@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+
+import { writeOutput, readOutput, exportedVerb, getLastUpdated, parseDate } from "./lib/utils.mjs";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Number of entries in the longest/shortest and fastest/slowest lists
+const TOP_COUNT = 5;
+
+/**
+ * Mean rounded to two decimals, null for empty input
+ */
+function average(values) {
+    if (values.length === 0) return null;
+    return Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 100) / 100;
+}
+
+/**
+ * Median, null for empty input
+ */
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Count values across items, most frequent first: [{ name, count }]
+ */
+function distribution(items, getValues) {
+    const counts = new Map();
+    for (const item of items) {
+        for (const value of [getValues(item) ?? []].flat()) {
+            if (!value) continue;
+            const name = String(value);
+            counts.set(name, (counts.get(name) ?? 0) + 1);
+        }
+    }
+    return [...counts]
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Short reference to an item in stats lists
+ */
+function reference(item, extra) {
+    return { id: item.id, slug: item.slug, title: item.title, ...extra };
+}
+
+/**
+ * Per-year and per-month counts of reads, split into first reads and
+ * re-reads per year. With `withPages`, pages are summed too. Years are
+ * sorted descending like `abgeschlossen`.
+ */
+function groupByFinished(reads, withPages) {
+    const years = {};
+
+    for (const { item, date, rating, reread } of reads) {
+        const year = String(date.getFullYear());
+        const month = String(date.getMonth() + 1).padStart(2, "0");
+
+        years[year] ??= { count: 0, firstReads: 0, rereads: 0, ...(withPages && { pages: 0 }), ratings: [], months: {} };
+        years[year].months[month] ??= { count: 0, ...(withPages && { pages: 0 }) };
+
+        const pages = typeof item.pages === "number" ? item.pages : 0;
+        years[year].count++;
+        years[year][reread ? "rereads" : "firstReads"]++;
+        years[year].months[month].count++;
+        if (withPages) {
+            years[year].pages += pages;
+            years[year].months[month].pages += pages;
+        }
+        if (typeof rating === "number") years[year].ratings.push(rating);
+    }
+
+    const byYear = {};
+    for (const year of Object.keys(years).sort((a, b) => b.localeCompare(a))) {
+        const { ratings, months, ...totals } = years[year];
+        const sortedMonths = {};
+        for (const month of Object.keys(months).sort()) sortedMonths[month] = months[month];
+        byYear[year] = { ...totals, averageRating: average(ratings), months: sortedMonths };
+    }
+    return byYear;
+}
+
+/**
+ * Days between `added` and the first finish for items that have both
+ */
+function timeToFinish(reads) {
+    const durations = reads
+        .filter(({ reread }) => !reread)
+        .map(({ item, date }) => {
+            const added = parseDate(item.added);
+            return added ? { item, days: Math.round((date - added) / DAY_MS) } : null;
+        })
+        .filter((entry) => entry && entry.days >= 0)
+        .sort((a, b) => a.days - b.days);
+
+    const days = durations.map((d) => d.days);
+    return {
+        count: durations.length,
+        averageDays: average(days),
+        medianDays: median(days),
+        fastest: durations.slice(0, TOP_COUNT).map(({ item, days }) => reference(item, { days })),
+        slowest: durations.slice(-TOP_COUNT).reverse().map(({ item, days }) => reference(item, { days })),
+    };
+}
+
+/**
+ * Finishes of one item as `{ finished, rating, reread }`. Books list their
+ * reads (re-reads included) in `reads`. Series count every season with a
+ * finish date, each with its own rating (the show's rating stands in for
+ * an unrated latest season); shows without dated seasons count once like
+ * other finished items.
+ */
+function getReads(item, isFinished) {
+    if (item.reads) return item.reads.map((read, i) => ({ ...read, reread: i > 0 }));
+
+    const seasons = (item.seasons ?? [])
+        .filter((season) => parseDate(season.finished))
+        .sort((a, b) => parseDate(a.finished) - parseDate(b.finished));
+    if (seasons.length > 0) {
+        return seasons.map((season, i) => ({
+            finished: season.finished,
+            rating: season.rating ?? (i === seasons.length - 1 ? item.rating : null),
+            reread: false,
+        }));
+    }
+
+    return isFinished ? [{ finished: item.finished, rating: item.rating, reread: false }] : [];
+}
+
+/**
+ * Every read with a valid date: `{ item, date, rating, reread }`.
+ * Unfinished items count too when they have reads of their own, e.g. a
+ * re-read book being read again or a running show with finished seasons.
+ * Read and season references in the year buckets are skipped, the full
+ * entry has them.
+ */
+function collectReads(output) {
+    const finished = Object.values(output.abgeschlossen ?? {}).flat();
+    const unfinished = [output.aktiv, output.merkliste, output.pausiert].flat().filter(Boolean);
+
+    return [...finished, ...unfinished]
+        .filter((item) => !item.ref)
+        .flatMap((item) =>
+            getReads(item, finished.includes(item)).map(({ finished, rating, reread }) => ({
+                item,
+                date: parseDate(finished),
+                rating,
+                reread,
+            }))
+        )
+        .filter(({ date }) => date);
+}
+
+/**
+ * Stats for one grouped export (books.json / series.json).
+ * Only finished reads with a valid date are counted.
+ * `people` names the distribution key and the item field it counts.
+ */
+function collectionStats(output, { withPages, people: [peopleKey, peopleField] }) {
+    const reads = collectReads(output);
+    const items = [...new Set(reads.map(({ item }) => item))];
+
+    const stats = {
+        finished: items.length,
+        reads: reads.length,
+        rereads: reads.filter(({ reread }) => reread).length,
+        byYear: groupByFinished(reads, withPages),
+        genres: distribution(items, (item) => item.genre),
+        [peopleKey]: distribution(items, (item) => item[peopleField]),
+        timeToFinish: timeToFinish(reads),
+    };
+
+    if (withPages) {
+        const byPages = items
+            .filter((item) => typeof item.pages === "number" && item.pages > 0)
+            .sort((a, b) => b.pages - a.pages);
+        stats.pages = byPages.reduce((sum, item) => sum + item.pages, 0);
+        stats.longest = byPages.slice(0, TOP_COUNT).map((item) => reference(item, { pages: item.pages }));
+        stats.shortest = byPages.slice(-TOP_COUNT).reverse().map((item) => reference(item, { pages: item.pages }));
+    }
+
+    return stats;
+}
+
+/**
+ * Write stats.json from the book and series exports. export-all passes the
+ * freshly exported data; standalone, the last books.json and series.json
+ * from the output folder are used.
+ */
+async function exportStats({ books, series } = {}) {
+    console.log("Exporting stats...");
+
+    books ??= await readOutput("books.json");
+    series ??= await readOutput("series.json");
+
+    const stats = {
+        books: collectionStats(books, { withPages: true, people: ["authors", "author"] }),
+        series: collectionStats(series, { withPages: false, people: ["directors", "director"] }),
+    };
+
+    const output = {
+        lastUpdated: await getLastUpdated("stats.json", stats),
+        ...stats,
+    };
+
+    const outputPath = await writeOutput("stats.json", output);
+
+    console.log(`  ${exportedVerb()} stats to ${outputPath}`);
+    console.log(`    - Books: ${stats.books.finished} finished in ${Object.keys(stats.books.byYear).length} years`);
+    console.log(`    - Series: ${stats.series.finished} finished in ${Object.keys(stats.series.byYear).length} years`);
+    return output;
+}
+
+// Run if called directly
+const isMainModule =
+    process.argv[1] &&
+    import.meta.url.endsWith(process.argv[1].split("/").pop());
+if (isMainModule || process.argv[1]?.endsWith("export-stats.mjs")) {
+    exportStats().catch((err) => {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
+}
+
+export { exportStats, collectionStats };
@@ -1,13 +1,18 @@
 #!/usr/bin/env node
 
 import {
-    findMarkdownFiles,
-    parseMarkdownFile,
-    hasKategorie,
+    loadVaultNotes,
     translateKeys,
+    getItemIdentity,
+    ensureUniqueSlugs,
     writeOutput,
+    exportedVerb,
     getLastUpdated,
+    config,
 } from "./lib/utils.mjs";
+import { createAssetPipeline } from "./lib/assets.mjs";
+import { isExported } from "./lib/collections.mjs";
+import { buildLinkIndex, createRenderer } from "./lib/render.mjs";
 
 /**
  * Normalize date values to consistent ISO 8601 format
@@ -38,23 +43,28 @@ const KEY_MAP = {
     Hinzugefügt: "added",
 };
 
-async function exportTimeline() {
+async function exportTimeline(vaultNotes) {
     console.log("Exporting timeline...");
 
-    // Find all markdown files
-    const files = await findMarkdownFiles("**/*.md");
+    // Reuse the shared vault scan when called from export-all
+    vaultNotes ??= await loadVaultNotes();
+
+    // Optional HTML rendering, with wikilinks resolved against all exports
+    const render = config.render
+        ? createRenderer({ linkIndex: buildLinkIndex(vaultNotes) })
+        : null;
+    // Embedded images are copied to output/garden-assets/
+    const rewriteAssets = await createAssetPipeline();
     const entries = [];
 
-    for (const filePath of files) {
+    for (const note of vaultNotes) {
+        const { data, body, filePath } = note;
         try {
-            const { data, body } = await parseMarkdownFile(filePath);
-
-            // Skip if not a timeline entry or is a template
-            if (!hasKategorie(data, "Timeline")) continue;
-            if (filePath.includes("Template")) continue;
+            // Skip if not a timeline entry, a template or withheld from publishing
+            if (!isExported(note, "timeline")) continue;
 
-            // Translate keys and clean wikilinks
-            const entry = translateKeys(data, KEY_MAP);
+            // Stable id and URL slug, then translated keys with wikilinks cleaned
+            const entry = { ...getItemIdentity(filePath, data), ...translateKeys(data, KEY_MAP) };
 
             // Normalize date fields (handles BCE dates and ensures consistent ISO format)
             if (entry.start) entry.start = normalizeDate(entry.start);
@@ -65,8 +75,9 @@ async function exportTimeline() {
                 entry.tags = [entry.tags];
             }
 
-            // Add markdown content
-            entry.content = body;
+            // Add markdown content, with image embeds pointing at the exported copies
+            entry.content = await rewriteAssets(body, filePath);
+            if (render) entry.contentHtml = render(entry.content);
 
             entries.push(entry);
         } catch (err) {
@@ -74,6 +85,8 @@ async function exportTimeline() {
         }
     }
 
+    ensureUniqueSlugs(entries, "timeline");
+
     // Sort entries by start date (oldest first for timeline)
     entries.sort((a, b) => {
         const aDate = a.start ? String(a.start) : "";
@@ -108,7 +121,7 @@ async function exportTimeline() {
     const outputPath = await writeOutput("timeline.json", output);
 
     console.log(
-        `  Exported ${entries.length} timeline entries to ${outputPath}`,
+        `  ${exportedVerb()} ${entries.length} timeline entries to ${outputPath}`,
     );
     for (const [type, items] of Object.entries(byType)) {
         console.log(`    - ${type}: ${items.length}`);
@@ -121,7 +134,10 @@ const isMainModule =
     process.argv[1] &&
     import.meta.url.endsWith(process.argv[1].split("/").pop());
 if (isMainModule || process.argv[1]?.endsWith("export-timeline.mjs")) {
-    exportTimeline().catch(console.error);
+    exportTimeline().catch((err) => {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
 }
 
-export { exportTimeline };
+export { exportTimeline, KEY_MAP };
@@ -0,0 +1,179 @@
+import { createHash } from "crypto";
+import { existsSync, statSync } from "fs";
+import { mkdir } from "fs/promises";
+import { glob } from "glob";
+import { basename, dirname, extname, join, posix, relative } from "path";
+import sharp from "sharp";
+import { loadIgnoreRules } from "./ignore.mjs";
+import { replaceEmbeds } from "./markdown.mjs";
+import { IMAGE_EXTENSIONS } from "./render.mjs";
+import { config, copyToOutput, slugify, OUTPUT_PATH, VAULT_PATH } from "./utils.mjs";
+
+export const ASSETS_DIR = "garden-assets"; // Relative path for website build
+const MAX_WIDTH = 1600;
+const WEBP_QUALITY = 80;
+
+// Raster formats sharp can read are resized and converted to WebP;
+// everything else (GIF animations, SVG, BMP) is copied as is
+const CONVERTIBLE = /\.(png|jpe?g|webp|avif|tiff?)$/i;
+
+/**
+ * Index all non-markdown files in the vault by lowercased file name,
+ * for Obsidian-style `![[name.png]]` lookups. Ignored files (see
+ * loadIgnoreRules) are never published.
+ */
+async function indexAttachments() {
+    const isIgnored = loadIgnoreRules(VAULT_PATH);
+    const files = (
+        await glob("**/*", {
+            cwd: VAULT_PATH,
+            nodir: true,
+            posix: true,
+            ignore: ["**/*.md"],
+        })
+    ).filter((file) => !isIgnored(file));
+
+    const byName = new Map();
+    for (const file of files.sort()) {
+        const key = basename(file).toLowerCase();
+        byName.set(key, [...(byName.get(key) ?? []), file]);
+    }
+    return { files: new Set(files), byName };
+}
+
+/**
+ * Find the vault file an embed points to, like Obsidian does: a path
+ * relative to the vault root or the note's folder, otherwise any file with
+ * that name (preferring the note's folder, then the shortest path)
+ */
+function resolveAttachment(index, target, notePath) {
+    const noteDir = posix.dirname(relative(VAULT_PATH, notePath).split("\\").join("/"));
+    const candidates = [
+        posix.normalize(target.replace(/^\//, "")),
+        posix.join(noteDir, target),
+    ];
+    const exact = candidates.find((candidate) => index.files.has(candidate));
+    if (exact) return exact;
+
+    const matches = index.byName.get(posix.basename(target).toLowerCase()) ?? [];
+    return (
+        matches.find((file) => posix.dirname(file) === noteDir) ??
+        [...matches].sort((a, b) => a.length - b.length)[0] ??
+        null
+    );
+}
+
+/**
+ * Lowercased file names of the images a note body embeds. Watch mode uses
+ * them to tell which attachment changes affect an export; names are
+ * matched like Obsidian's shortest-path embeds, so moved files count too.
+ */
+export function getEmbeddedImageNames(body) {
+    const names = new Set();
+    replaceEmbeds(body, ({ target }) => {
+        if (!/^[a-z][a-z0-9+.-]*:/i.test(target) && IMAGE_EXTENSIONS.test(target)) {
+            names.add(posix.basename(target).toLowerCase());
+        }
+        return null;
+    });
+    return names;
+}
+
+/**
+ * Copy one attachment to output/garden-assets/ and return its relative URL.
+ * The file name gets a short hash of the vault path so equally named files
+ * from different folders don't collide. Up-to-date copies are skipped.
+ */
+async function publishAttachment(file) {
+    const sourcePath = join(VAULT_PATH, file);
+    const convert = CONVERTIBLE.test(file);
+    const stem = basename(file, extname(file));
+    const hash = createHash("sha1").update(file).digest("hex").slice(0, 8);
+    const filename = `${slugify(stem) || "asset"}-${hash}${convert ? ".webp" : extname(file).toLowerCase()}`;
+    const destPath = join(OUTPUT_PATH, ASSETS_DIR, filename);
+
+    const upToDate =
+        existsSync(destPath) && statSync(destPath).mtimeMs >= statSync(sourcePath).mtimeMs;
+
+    if (!upToDate) {
+        if (!convert) {
+            await copyToOutput(sourcePath, destPath);
+        } else if (!config.dryRun) {
+            await mkdir(dirname(destPath), { recursive: true });
+            await sharp(sourcePath)
+                .rotate() // Apply EXIF orientation before it's stripped
+                .resize({ width: MAX_WIDTH, withoutEnlargement: true })
+                .webp({ quality: WEBP_QUALITY })
+                .toFile(destPath);
+        }
+    }
+
+    return `${ASSETS_DIR}/${filename}`;
+}
+
+/**
+ * Escape text for an HTML attribute
+ */
+function escapeAttribute(text) {
+    return text.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+}
+
+/**
+ * Create the embed pipeline for one export run. The returned
+ * `rewrite(body, notePath)` copies every image embedded in a note to
+ * output/garden-assets/ (resized and converted to WebP where possible)
+ * and points the embeds at the copies. Embeds of missing files are
+ * reported and left unchanged.
+ */
+export async function createAssetPipeline() {
+    const index = await indexAttachments();
+    const published = new Map(); // vault path → Promise<url | null>
+
+    const publish = (file) => {
+        if (!published.has(file)) {
+            const url = publishAttachment(file).catch((err) => {
+                console.error(`  Error processing attachment ${file}: ${err.message}`);
+                return null;
+            });
+            published.set(file, url);
+        }
+        return published.get(file);
+    };
+
+    return async function rewrite(body, notePath) {
+        // First pass: collect embed targets and publish the files
+        const urls = new Map();
+        replaceEmbeds(body, ({ target }) => {
+            urls.set(target, null);
+            return null;
+        });
+
+        for (const target of urls.keys()) {
+            // External images and note embeds stay as they are
+            if (/^[a-z][a-z0-9+.-]*:/i.test(target) || !IMAGE_EXTENSIONS.test(target)) continue;
+
+            const file = resolveAttachment(index, target, notePath);
+            if (file) {
+                urls.set(target, await publish(file));
+            } else {
+                console.warn(
+                    `  Warning: Attachment not found: ${target} (in ${relative(VAULT_PATH, notePath)})`
+                );
+            }
+        }
+
+        // Second pass: point the embeds at the published copies
+        return replaceEmbeds(body, ({ target, alias }) => {
+            const url = urls.get(target);
+            if (!url) return null;
+
+            // Obsidian puts a width in the alias slot: ![[x.png|300]], ![Caption|300](x.png)
+            const [, caption, width] = alias?.match(/^(?:(.*)\|)?(\d+)(?:x\d+)?$/) ?? [];
+            const alt = (width ? caption : alias) || basename(target);
+
+            return width
+                ? `<img src="${url}" alt="${escapeAttribute(alt)}" width="${width}">`
+                : `![${alt.replace(/[[\]]/g, "")}](${url})`;
+        });
+    };
+}
@@ -0,0 +1,127 @@
+import { createHash } from "crypto";
+import { mkdir, readFile, stat, writeFile } from "fs/promises";
+import { dirname, relative } from "path";
+
+// Bump when the cached record shape or parsing changes
+const CACHE_VERSION = 1;
+
+/**
+ * Check that a parsed frontmatter value survives a JSON round trip.
+ * Dates are tagged (see encode/decode); anything else exotic that YAML can
+ * produce (binary, sets, NaN/Infinity) is never cached, so cached and
+ * uncached runs always produce the same output.
+ */
+function isCacheable(value) {
+    if (value === null) return true;
+    if (typeof value === "string" || typeof value === "boolean") return true;
+    if (typeof value === "number") return Number.isFinite(value);
+    if (value instanceof Date) return !isNaN(value.getTime());
+    if (Array.isArray(value)) return value.every(isCacheable);
+    if (typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+        // A literal `$date` key would be mistaken for a tagged Date
+        if ("$date" in value) return false;
+        return Object.values(value).every(isCacheable);
+    }
+    return false;
+}
+
+/**
+ * JSON replacer: store Dates as { $date: iso } so they are revived as Dates
+ */
+function encode(key, value) {
+    const raw = this[key];
+    if (raw instanceof Date) return { $date: raw.toISOString() };
+    return value;
+}
+
+/**
+ * JSON reviver: turn { $date: iso } back into a Date
+ */
+function decode(key, value) {
+    if (value && typeof value === "object" && Object.keys(value).length === 1 && typeof value.$date === "string") {
+        return new Date(value.$date);
+    }
+    return value;
+}
+
+function hashContent(content) {
+    return createHash("sha1").update(content).digest("hex");
+}
+
+/**
+ * Open the persistent note cache stored at `cacheFile`.
+ *
+ * Entries are keyed by vault-relative path and hold the parsed frontmatter
+ * and body together with the file's mtime, size and content hash. A file is
+ * only re-read when its mtime or size changed, and only re-parsed when its
+ * content hash changed too.
+ */
+export async function openNoteCache(cacheFile, vaultPath) {
+    let entries = {};
+    let dirty = false;
+
+    try {
+        const stored = JSON.parse(await readFile(cacheFile, "utf-8"), decode);
+        if (stored.version === CACHE_VERSION && stored.vaultPath === vaultPath) {
+            entries = stored.entries;
+        }
+    } catch (err) {
+        // Missing or corrupt cache - start empty
+    }
+
+    return {
+        /**
+         * Return `{ data, body }` for a note, parsing with `parseContent`
+         * only when the file changed since it was cached
+         */
+        async parse(filePath, parseContent) {
+            const key = relative(vaultPath, filePath);
+            const { mtimeMs, size } = await stat(filePath);
+            const entry = entries[key];
+
+            if (entry && entry.mtimeMs === mtimeMs && entry.size === size) {
+                return { data: entry.data, body: entry.body };
+            }
+
+            const content = await readFile(filePath, "utf-8");
+            const hash = hashContent(content);
+
+            if (entry && entry.hash === hash) {
+                // Touched but unchanged - refresh the stat key only
+                entries[key] = { ...entry, mtimeMs, size };
+                dirty = true;
+                return { data: entry.data, body: entry.body };
+            }
+
+            const { data, body } = parseContent(content);
+            if (isCacheable(data)) {
+                entries[key] = { mtimeMs, size, hash, data, body };
+            } else {
+                delete entries[key];
+            }
+            dirty = true;
+            return { data, body };
+        },
+
+        /**
+         * Drop entries for notes that no longer exist in the vault
+         */
+        prune(filePaths) {
+            const live = new Set(filePaths.map((filePath) => relative(vaultPath, filePath)));
+            for (const key of Object.keys(entries)) {
+                if (!live.has(key)) {
+                    delete entries[key];
+                    dirty = true;
+                }
+            }
+        },
+
+        async save() {
+            if (!dirty) return;
+            await mkdir(dirname(cacheFile), { recursive: true });
+            const payload = { version: CACHE_VERSION, vaultPath, entries };
+            await writeFile(cacheFile, JSON.stringify(payload, encode));
+            dirty = false;
+        },
+    };
+}
@@ -0,0 +1,156 @@
+import { relative } from "path";
+import { config, findTag, getExcludeReason, hasKategorie, VAULT_PATH } from "./utils.mjs";
+
+/**
+ * Collections exported from the vault.
+ * `kategorie` is the Kategorie its notes have (see matchesCollection);
+ * `coverDir` is the vault folder its local covers are archived in;
+ * `embedsAttachments` marks exports that copy images embedded in note bodies
+ *   (watch mode re-runs them when one of those images changes);
+ * `itemKey` identifies an item across exports (used for diffs);
+ * `isItem` filters out notes that belong to the collection but aren't items;
+ * `tagKeys` are frontmatter fields with tags besides `tags`;
+ * `publish` is the collection's default publishing rule (see getExcludeReason).
+ */
+export const COLLECTIONS = {
+    books: {
+        label: "Books",
+        kategorie: "Bücher",
+        output: "books.json",
+        coverDir: "Attachments/Book Cover",
+        itemKey: (book) => [book.title, ...(book.author ?? [])].join(" / "),
+    },
+    series: {
+        label: "Series",
+        kategorie: "Serien",
+        output: "series.json",
+        coverDir: "Attachments/Series Cover",
+        itemKey: (show) => show.title,
+        // Season notes are nested under their show
+        isItem: (data) => !isSeasonNote(data),
+    },
+    movies: {
+        label: "Movies",
+        kategorie: "Filme",
+        output: "movies.json",
+        coverDir: "Attachments/Movie Poster",
+        itemKey: (movie) => [movie.title, movie.released ?? ""].join(" / "),
+    },
+    digitalGarden: {
+        label: "Digital Garden",
+        kategorie: "Digital Garden",
+        output: "digital-garden.json",
+        embedsAttachments: true,
+        itemKey: (note) => note.slug,
+    },
+    timeline: {
+        label: "Timeline",
+        kategorie: "Timeline",
+        output: "timeline.json",
+        embedsAttachments: true,
+        itemKey: (entry) => `${entry.title} / ${entry.start}`,
+        tagKeys: ["Schlagwörter"],
+    },
+    bookmarks: {
+        label: "Bookmarks",
+        kategorie: "Bookmarks",
+        output: "bookmarks.json",
+        coverDir: "Attachments/Bookmark Cover",
+        itemKey: (bookmark) => bookmark.url,
+        tagKeys: ["Tags"],
+        // Only favorites are published (strict boolean - gray-matter parses
+        // YAML `true` to a real bool)
+        publish: {
+            test: (data) => data.Favorit === true,
+            reason: "Not a favorite (Favorit: true)",
+        },
+    },
+};
+
+/**
+ * Whether a note belongs to a collection: its Kategorie is the collection's
+ * `kategorie` or a configured alias (`kategorieAliases`), or it has one of
+ * the collection's tags (`kategorieTags`)
+ */
+export function matchesCollection(data, key) {
+    const names = [COLLECTIONS[key].kategorie, ...(config.kategorieAliases[key] ?? [])];
+    return hasKategorie(data, names) || findTag(data, config.kategorieTags[key] ?? []) !== undefined;
+}
+
+/**
+ * Website URL of an item from the `urls` template of its collection
+ * (`{slug}`, and `{url}` for a bookmark's source), null if there is none
+ */
+export function getItemUrl(key, { slug, url }) {
+    const template = config.urls[key];
+    if (!template) return null;
+    return template.replace("{slug}", slug).replace("{url}", url ?? "");
+}
+
+/**
+ * Whether a note is a season of a show: a series note with a `Serie` link.
+ * Other notes may use `Serie` for something else (e.g. a book series).
+ */
+export function isSeasonNote(data) {
+    return Boolean(data.Serie) && matchesCollection(data, "series");
+}
+
+/**
+ * Return the keys of all collections a note's frontmatter belongs to
+ */
+export function getCollections(data) {
+    return Object.keys(COLLECTIONS).filter((key) => matchesCollection(data, key));
+}
+
+/**
+ * Warn about notes that match more than one collection; they end up in
+ * every one of those exports
+ */
+export function warnMultipleCollections(notes) {
+    for (const { data, filePath } of notes) {
+        const keys = getCollections(data);
+        if (keys.length > 1) {
+            const labels = keys.map((key) => COLLECTIONS[key].label).join(", ");
+            console.warn(`  Warning: ${relative(VAULT_PATH, filePath)} matches several collections: ${labels}`);
+        }
+    }
+}
+
+/**
+ * Whether a note is an item of a collection (Kategorie and `isItem`),
+ * before the publishing policy is applied. Templates and other ignored
+ * files never get here, see loadIgnoreRules.
+ */
+function isCollectionItem({ data }, key) {
+    if (!matchesCollection(data, key)) return false;
+    return COLLECTIONS[key].isItem?.(data) ?? true;
+}
+
+/**
+ * Whether a note ends up in a collection's export. Every exporter filters
+ * its notes with this, so links, diffs and exports agree.
+ */
+export function isExported(note, key) {
+    return (
+        isCollectionItem(note, key) &&
+        getExcludeReason(note, key, COLLECTIONS[key]) === null
+    );
+}
+
+/**
+ * Notes withheld by the publishing policy: `[{ collection, note, reason }]`
+ * with `note` relative to the vault
+ */
+export function findExcluded(notes) {
+    const excluded = [];
+    for (const note of notes) {
+        for (const key of Object.keys(COLLECTIONS)) {
+            if (!isCollectionItem(note, key)) continue;
+            const reason = getExcludeReason(note, key, COLLECTIONS[key]);
+            if (reason) {
+                excluded.push({ collection: key, note: relative(VAULT_PATH, note.filePath), reason });
+            }
+        }
+    }
+    return excluded;
+}
@@ -0,0 +1,222 @@
+import { existsSync, readFileSync } from "fs";
+import { dirname, join, resolve } from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+
+const PROJECT_ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+export const CONFIG_FILENAME = "obsidian-export.config.json";
+
+// Lowest layer: used when neither config file, env nor CLI set a value
+const DEFAULTS = {
+    vaultPath: null,
+    outputPath: "output",
+    cache: true,
+    watch: false,
+    strict: false,
+    dryRun: false,
+    diffJson: null,
+    // Collections whose note bodies are exported as `content`
+    includeBodies: [],
+    // Only export the content under these headings (empty = whole body)
+    bodySections: {
+        books: ["Rezension"],
+        series: [],
+        movies: [],
+    },
+    // Extra Kategorie names per collection (matched exactly, like the
+    // collection's own Kategorie)
+    kategorieAliases: {
+        books: ["Books"],
+        series: ["Series"],
+        movies: ["Movies"],
+    },
+    // Tags that put a note into a collection without a Kategorie; nested
+    // tags count too (#medien/bücher/fantasy)
+    kategorieTags: {
+        books: ["medien/bücher"],
+        series: ["medien/serien"],
+        movies: ["medien/filme"],
+    },
+    // Headings and callout types that are never exported
+    privateHeadings: ["Privat"],
+    privateCallouts: ["privat", "private"],
+    // Publishing policy (see getExcludeReason): notes with these tags or in
+    // these vault folders are never exported; opt-in collections only
+    // export notes with `publish: true`
+    privateTags: ["privat", "private"],
+    excludeFolders: [],
+    optInCollections: [],
+    // List withheld notes and the reason after export-all
+    showExcluded: false,
+    // Render Digital Garden and Timeline content to `contentHtml`
+    render: false,
+    // Website base URL for feeds, and where output files (covers, garden
+    // assets) are served if not from the site root
+    siteUrl: null,
+    assetsUrl: null,
+    // Feed author, a name or { name, email, url } (defaults to the site's
+    // host name)
+    feedAuthor: null,
+    // Website URL per collection, used to resolve wikilinks when rendering
+    urls: {
+        books: "/books/{slug}",
+        series: "/series/{slug}",
+        movies: "/movies/{slug}",
+        digitalGarden: "/garden/{slug}",
+        timeline: "/timeline/{slug}",
+        bookmarks: "{url}",
+    },
+};
+
+// Per-collection maps: a config file entry replaces the default for that
+// collection only, the other collections keep theirs
+const COLLECTION_MAPS = ["bodySections", "kategorieAliases", "kategorieTags", "urls"];
+
+// Environment variables → config keys
+const ENV_MAP = {
+    OBSIDIAN_VAULT_PATH: "vaultPath",
+    OBSIDIAN_EXPORT_OUTPUT: "outputPath",
+};
+
+// CLI flags → config keys
+const CLI_MAP = {
+    vault: "vaultPath",
+    output: "outputPath",
+    "diff-json": "diffJson",
+};
+
+// Boolean CLI switches → [config key, value they set]
+const CLI_SWITCHES = {
+    "no-cache": ["cache", false],
+    watch: ["watch", true],
+    strict: ["strict", true],
+    "dry-run": ["dryRun", true],
+    "include-bodies": ["includeBodies", ["books", "series", "movies"]],
+    render: ["render", true],
+    "show-excluded": ["showExcluded", true],
+};
+
+/**
+ * Parse the shared CLI flags. Unknown flags (e.g. --dry-run, --test) are
+ * left for the individual scripts to handle.
+ */
+function parseCliFlags(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            config: { type: "string" },
+            vault: { type: "string" },
+            output: { type: "string" },
+            "diff-json": { type: "string" },
+            ...Object.fromEntries(
+                Object.keys(CLI_SWITCHES).map((flag) => [flag, { type: "boolean" }])
+            ),
+        },
+        strict: false,
+        allowPositionals: true,
+    });
+
+    for (const flag of ["config", ...Object.keys(CLI_MAP)]) {
+        const value = values[flag];
+        if (value !== undefined && (typeof value !== "string" || value.startsWith("--"))) {
+            throw new Error(`Config error: --${flag} requires a value`);
+        }
+    }
+    return values;
+}
+
+/**
+ * Read the project config file. A missing default file is fine (defaults
+ * apply), but an explicitly requested file must exist.
+ */
+function readConfigFile(configPath, explicit) {
+    if (!existsSync(configPath)) {
+        if (explicit) {
+            throw new Error(`Config error: config file does not exist: ${configPath}`);
+        }
+        return {};
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(readFileSync(configPath, "utf-8"));
+    } catch (err) {
+        throw new Error(`Config error: cannot parse ${configPath}: ${err.message}`);
+    }
+
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+        throw new Error(`Config error: ${configPath} must contain a JSON object`);
+    }
+
+    for (const key of COLLECTION_MAPS) {
+        const value = parsed[key];
+        if (value !== undefined && (!value || typeof value !== "object" || Array.isArray(value))) {
+            throw new Error(`Config error: "${key}" in ${configPath} must be an object`);
+        }
+    }
+
+    // Paths in the config file are relative to the file itself
+    const baseDir = dirname(configPath);
+    const result = { ...parsed };
+    for (const key of ["vaultPath", "outputPath"]) {
+        if (result[key] !== undefined) {
+            if (typeof result[key] !== "string" || !result[key]) {
+                throw new Error(`Config error: "${key}" in ${configPath} must be a non-empty string`);
+            }
+            result[key] = resolve(baseDir, result[key]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Resolve the configuration from all layers.
+ * Precedence (highest first): CLI flags → environment → config file → defaults.
+ */
+export function loadConfig({ argv = process.argv.slice(2), env = process.env } = {}) {
+    const flags = parseCliFlags(argv);
+
+    const explicitConfig = flags.config ?? env.OBSIDIAN_EXPORT_CONFIG;
+    const configPath = explicitConfig
+        ? resolve(explicitConfig)
+        : join(PROJECT_ROOT, CONFIG_FILENAME);
+    const fromFile = readConfigFile(configPath, Boolean(explicitConfig));
+
+    const fromEnv = {};
+    for (const [name, key] of Object.entries(ENV_MAP)) {
+        if (env[name]) fromEnv[key] = resolve(env[name]);
+    }
+
+    const fromCli = {};
+    for (const [flag, key] of Object.entries(CLI_MAP)) {
+        if (flags[flag]) fromCli[key] = resolve(flags[flag]);
+    }
+    for (const [flag, [key, value]] of Object.entries(CLI_SWITCHES)) {
+        if (flags[flag] === true) fromCli[key] = value;
+    }
+
+    const config = {
+        ...DEFAULTS,
+        ...fromFile,
+        ...fromEnv,
+        ...fromCli,
+        configPath: existsSync(configPath) ? configPath : null,
+    };
+    for (const key of COLLECTION_MAPS) {
+        config[key] = { ...DEFAULTS[key], ...fromFile[key] };
+    }
+
+    // Default output path is relative to the project, not the cwd
+    config.outputPath = resolve(PROJECT_ROOT, config.outputPath);
+
+    if (!config.vaultPath) {
+        throw new Error(
+            `Config error: no vault path configured. Set "vaultPath" in ${CONFIG_FILENAME}, ` +
+                "the OBSIDIAN_VAULT_PATH environment variable, or pass --vault <path>."
+        );
+    }
+
+    return config;
+}
+
+export const config = loadConfig();
@@ -0,0 +1,103 @@
+import { COLLECTIONS } from "./collections.mjs";
+
+/**
+ * Stable key to match an item between the old and the new export.
+ * Falls back to the title for outputs without a collection-specific key.
+ */
+function getItemKey(filename, item) {
+    const collection = Object.values(COLLECTIONS).find((c) => c.output === filename);
+    const key = collection?.itemKey?.(item);
+    return key || item.title || JSON.stringify(item);
+}
+
+/**
+ * Collect all exported items from an output object, whatever its grouping
+ * (status lists, year buckets, thema keys, byType). Items that appear in
+ * several groups (e.g. timeline entries + byType) are only counted once.
+ */
+export function collectItems(filename, output) {
+    const items = new Map();
+    const { lastUpdated: _, count: __, ...groups } = output ?? {};
+
+    const walk = (value) => {
+        if (Array.isArray(value)) {
+            for (const entry of value) {
+                if (entry && typeof entry === "object" && !Array.isArray(entry) && "title" in entry) {
+                    // Read references (re-read books) point to an item listed elsewhere
+                    if ("ref" in entry) continue;
+                    const key = getItemKey(filename, entry);
+                    if (!items.has(key)) items.set(key, entry);
+                } else {
+                    walk(entry);
+                }
+            }
+        } else if (value && typeof value === "object") {
+            Object.values(value).forEach(walk);
+        }
+    };
+    walk(groups);
+
+    return items;
+}
+
+/**
+ * Compare two versions of an output file item by item.
+ * Both sides are compared in their serialized (JSON) form.
+ */
+export function diffOutput(filename, before, after) {
+    const oldItems = collectItems(filename, before);
+    const newItems = collectItems(filename, after);
+    const diff = { file: filename, added: [], removed: [], changed: [] };
+
+    for (const [key, item] of newItems) {
+        const previous = oldItems.get(key);
+        if (!previous) {
+            diff.added.push({ key, title: item.title });
+            continue;
+        }
+
+        const fields = [];
+        for (const field of new Set([...Object.keys(previous), ...Object.keys(item)])) {
+            const from = previous[field];
+            const to = item[field];
+            if (JSON.stringify(from) !== JSON.stringify(to)) {
+                fields.push({ field, before: from ?? null, after: to ?? null });
+            }
+        }
+        if (fields.length > 0) {
+            diff.changed.push({ key, title: item.title, fields });
+        }
+    }
+
+    for (const [key, item] of oldItems) {
+        if (!newItems.has(key)) diff.removed.push({ key, title: item.title });
+    }
+
+    return diff;
+}
+
+/**
+ * Shorten a value for the one-line field change display
+ */
+function preview(value) {
+    const text = JSON.stringify(value);
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Render a diff as indented console lines
+ */
+export function formatDiff(diff) {
+    const lines = [
+        `  Diff for ${diff.file}: +${diff.added.length} added, -${diff.removed.length} removed, ~${diff.changed.length} changed`,
+    ];
+    for (const { title } of diff.added) lines.push(`    + ${title}`);
+    for (const { title } of diff.removed) lines.push(`    - ${title}`);
+    for (const { title, fields } of diff.changed) {
+        lines.push(`    ~ ${title}`);
+        for (const { field, before, after } of fields) {
+            lines.push(`        ${field}: ${preview(before)} → ${preview(after)}`);
+        }
+    }
+    return lines.join("\n");
+}
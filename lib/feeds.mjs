@@ -0,0 +1,168 @@
+import { extname } from "path";
+
+// Feed entries are described once and rendered as RSS 2.0, Atom 1.0 and
+// JSON Feed 1.1:
+//   feed:  { title, description, homeUrl, feedUrls: { rss, atom, json }, author: { name,
+//            email, url }, updated, items }
+//   item:  { id, url, title, summary, contentHtml, published, updated,
+//            categories, enclosure: { url, type, length } | null }
+// All URLs are absolute; dates are Date objects.
+
+const MIME_TYPES = {
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".png": "image/png",
+    ".webp": "image/webp",
+    ".avif": "image/avif",
+    ".gif": "image/gif",
+};
+
+/**
+ * MIME type of an image URL, by extension
+ */
+export function getMimeType(url) {
+    return MIME_TYPES[extname(new URL(url).pathname).toLowerCase()] ?? "application/octet-stream";
+}
+
+/**
+ * Escape text for XML content and attributes
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+/**
+ * `<tag>text</tag>`, or nothing for empty values
+ */
+function element(tag, text, indent) {
+    return text ? `${indent}<${tag}>${escapeXml(text)}</${tag}>\n` : "";
+}
+
+/**
+ * Atom <author> (name is required, email and uri optional)
+ */
+function atomAuthor({ name, email, url }, indent) {
+    return (
+        `${indent}<author>\n` +
+        element("name", name, `${indent}  `) +
+        element("email", email, `${indent}  `) +
+        element("uri", url, `${indent}  `) +
+        `${indent}</author>\n`
+    );
+}
+
+/**
+ * RSS 2.0 with an atom:link to itself, as recommended by the RSS Advisory Board
+ */
+export function renderRss(feed) {
+    const items = feed.items.map((item) => {
+        let xml = "    <item>\n";
+        xml += element("title", item.title, "      ");
+        xml += element("link", item.url, "      ");
+        xml += `      <guid isPermaLink="${item.id === item.url}">${escapeXml(item.id)}</guid>\n`;
+        xml += element("pubDate", item.published?.toUTCString(), "      ");
+        xml += element("description", item.contentHtml ?? item.summary, "      ");
+        for (const category of item.categories) xml += element("category", category, "      ");
+        if (item.enclosure) {
+            const { url, type, length } = item.enclosure;
+            xml += `      <enclosure url="${escapeXml(url)}" length="${length}" type="${escapeXml(type)}"/>\n`;
+        }
+        return `${xml}    </item>\n`;
+    });
+
+    return (
+        '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">\n' +
+        "  <channel>\n" +
+        element("title", feed.title, "    ") +
+        element("link", feed.homeUrl, "    ") +
+        element("description", feed.description, "    ") +
+        `    <atom:link href="${escapeXml(feed.feedUrls.rss)}" rel="self" type="application/rss+xml"/>\n` +
+        element("lastBuildDate", feed.updated.toUTCString(), "    ") +
+        items.join("") +
+        "  </channel>\n" +
+        "</rss>\n"
+    );
+}
+
+/**
+ * Atom 1.0
+ */
+export function renderAtom(feed) {
+    const entries = feed.items.map((item) => {
+        let xml = "  <entry>\n";
+        xml += element("title", item.title, "    ");
+        // Entries without a page of their own link to their id (a site URL)
+        xml += `    <link href="${escapeXml(item.url ?? item.id)}"/>\n`;
+        xml += element("id", item.id, "    ");
+        xml += element("published", item.published?.toISOString(), "    ");
+        xml += element("updated", (item.updated ?? item.published ?? feed.updated).toISOString(), "    ");
+        xml += element("summary", item.summary, "    ");
+        if (item.contentHtml) xml += `    <content type="html">${escapeXml(item.contentHtml)}</content>\n`;
+        for (const category of item.categories) xml += `    <category term="${escapeXml(category)}"/>\n`;
+        if (item.enclosure) {
+            const { url, type, length } = item.enclosure;
+            xml += `    <link rel="enclosure" href="${escapeXml(url)}" type="${escapeXml(type)}" length="${length}"/>\n`;
+        }
+        return `${xml}  </entry>\n`;
+    });
+
+    return (
+        '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<feed xmlns="http://www.w3.org/2005/Atom">\n' +
+        element("title", feed.title, "  ") +
+        element("subtitle", feed.description, "  ") +
+        atomAuthor(feed.author, "  ") +
+        `  <link href="${escapeXml(feed.homeUrl)}"/>\n` +
+        `  <link href="${escapeXml(feed.feedUrls.atom)}" rel="self" type="application/atom+xml"/>\n` +
+        element("id", feed.feedUrls.atom, "  ") +
+        element("updated", feed.updated.toISOString(), "  ") +
+        entries.join("") +
+        "</feed>\n"
+    );
+}
+
+/**
+ * JSON Feed 1.1 (https://jsonfeed.org/version/1.1)
+ */
+export function renderJsonFeed(feed) {
+    const json = {
+        version: "https://jsonfeed.org/version/1.1",
+        title: feed.title,
+        description: feed.description,
+        home_page_url: feed.homeUrl,
+        feed_url: feed.feedUrls.json,
+        authors: [
+            {
+                name: feed.author.name,
+                ...(feed.author.url && { url: feed.author.url }),
+            },
+        ],
+        items: feed.items.map((item) => ({
+            id: item.id,
+            ...(item.url && { url: item.url }),
+            title: item.title,
+            ...(item.contentHtml ? { content_html: item.contentHtml } : { content_text: item.summary ?? "" }),
+            ...(item.summary && { summary: item.summary }),
+            ...(item.enclosure && { image: item.enclosure.url }),
+            ...(item.published && { date_published: item.published.toISOString() }),
+            ...(item.updated && { date_modified: item.updated.toISOString() }),
+            ...(item.categories.length > 0 && { tags: item.categories }),
+            ...(item.enclosure && {
+                attachments: [
+                    {
+                        url: item.enclosure.url,
+                        mime_type: item.enclosure.type,
+                        size_in_bytes: item.enclosure.length,
+                    },
+                ],
+            }),
+        })),
+    };
+    return `${JSON.stringify(json, null, 2)}\n`;
+}
@@ -0,0 +1,90 @@
+import { readFileSync } from "fs";
+import { join } from "path";
+import ignore from "ignore";
+
+export const IGNORE_FILENAME = ".exportignore";
+
+// Vault files the rules are read from (vault-relative), so watch mode can
+// re-export when they change
+export const IGNORE_RULE_FILES = [IGNORE_FILENAME, ".obsidian/app.json", ".obsidian/templates.json"];
+
+// Obsidian's own state and trash are never exported
+const DEFAULT_PATTERNS = [".obsidian/", ".trash/"];
+
+/**
+ * Read a vault file, or null if it doesn't exist or can't be read
+ */
+function readVaultFile(vaultPath, file) {
+    try {
+        return readFileSync(join(vaultPath, file), "utf-8");
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Read a JSON file from the vault's .obsidian folder (null if missing or
+ * invalid, e.g. while Obsidian is writing it)
+ */
+function readObsidianSetting(vaultPath, file) {
+    const content = readVaultFile(vaultPath, join(".obsidian", file));
+    if (content === null) return null;
+    try {
+        return JSON.parse(content);
+    } catch (err) {
+        console.warn(`  Warning: Can't parse .obsidian/${file}: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Turn Obsidian's "Excluded files" (`userIgnoreFilters` in app.json) into a
+ * matcher. Entries are path prefixes ("Archive/") or regexes ("/\.draft$/").
+ */
+function obsidianFilter(filters) {
+    const matchers = filters
+        .filter((filter) => typeof filter === "string" && filter)
+        .map((filter) => {
+            const regex = filter.match(/^\/(.+)\/$/);
+            if (regex) {
+                try {
+                    const pattern = new RegExp(regex[1]);
+                    return (path) => pattern.test(path);
+                } catch (err) {
+                    console.warn(`  Warning: Invalid excluded files regex ${filter}: ${err.message}`);
+                    return () => false;
+                }
+            }
+            return (path) => path.startsWith(filter);
+        });
+    return (path) => matchers.some((matches) => matches(path));
+}
+
+/**
+ * Load the vault's ignore rules and return `isIgnored(relativePath)` for
+ * vault-relative, "/"-separated paths. A path is ignored if it matches:
+ *   - `.obsidian/` or `.trash/`
+ *   - a pattern in `.exportignore` at the vault root (gitignore syntax)
+ *   - Obsidian's "Excluded files" setting (`.obsidian/app.json`)
+ *   - the folder of Obsidian's Templates plugin (`.obsidian/templates.json`)
+ *
+ * Rules are read on every call, so a new scan picks up edits to them (watch
+ * mode re-runs every export when one of IGNORE_RULE_FILES changes).
+ */
+export function loadIgnoreRules(vaultPath) {
+    const matcher = ignore().add(DEFAULT_PATTERNS);
+
+    const exportIgnore = readVaultFile(vaultPath, IGNORE_FILENAME);
+    if (exportIgnore !== null) matcher.add(exportIgnore);
+
+    // Templates are notes, but never meant to be published
+    const templatesFolder = readObsidianSetting(vaultPath, "templates.json")?.folder;
+    if (typeof templatesFolder === "string" && templatesFolder.replace(/^\/+|\/+$/g, "")) {
+        matcher.add(`/${templatesFolder.replace(/^\/+|\/+$/g, "")}/`);
+    }
+
+    const userFilters = readObsidianSetting(vaultPath, "app.json")?.userIgnoreFilters;
+    const isExcludedInObsidian = obsidianFilter(Array.isArray(userFilters) ? userFilters : []);
+
+    return (path) => matcher.ignores(path) || isExcludedInObsidian(path);
+}
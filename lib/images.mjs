@@ -0,0 +1,191 @@
+import { createHash } from "crypto";
+import { existsSync } from "fs";
+import { mkdir, readFile, writeFile } from "fs/promises";
+import { dirname, join } from "path";
+import sharp from "sharp";
+import { config, CACHE_PATH, OUTPUT_PATH } from "./utils.mjs";
+
+// Bump when the coverSet shape or the encoding settings change
+const CACHE_VERSION = 1;
+const CACHE_FILE = join(CACHE_PATH, "covers.json");
+
+const COVER_WIDTHS = [150, 300, 600];
+const COVER_FORMATS = [
+    { format: "avif", type: "image/avif", options: { quality: 50 } },
+    { format: "webp", type: "image/webp", options: { quality: 80 } },
+];
+const PLACEHOLDER_WIDTH = 16;
+
+/**
+ * { r, g, b } → "#rrggbb"
+ */
+function toHex({ r, g, b }) {
+    return `#${[r, g, b].map((c) => c.toString(16).padStart(2, "0")).join("")}`;
+}
+
+/**
+ * Encode all variants of a cover and describe them as a coverSet:
+ *   - width/height: intrinsic size of the original cover
+ *   - color: dominant color, e.g. as background while loading
+ *   - placeholder: tiny blurred WebP as data URI (LQIP)
+ *   - sources: one srcset per format, for <picture><source>
+ * Also returns the variant paths (relative to the output folder).
+ * Variants are never upscaled; nothing is written in a dry run.
+ */
+async function buildCoverSet(source, coverUrl) {
+    // Size after EXIF rotation, like the variants
+    const { width, height } = (await sharp(source).metadata()).autoOrient;
+    const { dominant } = await sharp(source).stats();
+    const widths = [...new Set(COVER_WIDTHS.map((w) => Math.min(w, width)))];
+    const stem = coverUrl.replace(/\.[^./]+$/, "");
+
+    const sources = [];
+    const files = [];
+    for (const { format, type, options } of COVER_FORMATS) {
+        const srcset = [];
+        for (const variantWidth of widths) {
+            const file = `${stem}-${variantWidth}.${format}`;
+            if (!config.dryRun) {
+                const destPath = join(OUTPUT_PATH, file);
+                await mkdir(dirname(destPath), { recursive: true });
+                await sharp(source)
+                    .rotate()
+                    .resize({ width: variantWidth })
+                    .toFormat(format, options)
+                    .toFile(destPath);
+            }
+            srcset.push(`${file} ${variantWidth}w`);
+            files.push(file);
+        }
+        sources.push({ type, srcset: srcset.join(", ") });
+    }
+
+    const placeholder = await sharp(source)
+        .rotate()
+        .resize({ width: PLACEHOLDER_WIDTH })
+        .blur()
+        .webp({ quality: 40 })
+        .toBuffer();
+
+    const coverSet = {
+        width,
+        height,
+        color: toHex(dominant),
+        placeholder: `data:image/webp;base64,${placeholder.toString("base64")}`,
+        sources,
+    };
+    return { coverSet, files };
+}
+
+/**
+ * Open the cover variant cache (output/.cache/covers.json).
+ *
+ * Entries are keyed by the cover's output path (e.g. "book-covers/x.jpg")
+ * and hold the source hash with the generated coverSet, so unchanged covers
+ * aren't re-encoded. With --no-cache every cover is encoded again.
+ */
+export async function openCoverCache() {
+    let entries = {};
+    let dirty = false;
+
+    try {
+        const stored = JSON.parse(await readFile(CACHE_FILE, "utf-8"));
+        if (stored.version === CACHE_VERSION) entries = stored.entries;
+    } catch (err) {
+        // Missing or corrupt cache - start empty
+    }
+
+    return {
+        /**
+         * Return the coverSet for a cover copied to `coverUrl`, or null if
+         * the variants can't be generated (the error is logged)
+         */
+        async createCoverSet(sourcePath, coverUrl) {
+            try {
+                const source = await readFile(sourcePath);
+                const hash = createHash("sha1").update(source).digest("hex");
+                const entry = entries[coverUrl];
+
+                const cached =
+                    config.cache &&
+                    entry?.hash === hash &&
+                    (config.dryRun || entry.files.every((file) => existsSync(join(OUTPUT_PATH, file))));
+                if (cached) return entry.coverSet;
+
+                const { coverSet, files } = await buildCoverSet(source, coverUrl);
+                if (!config.dryRun) {
+                    entries[coverUrl] = { hash, files, coverSet };
+                    dirty = true;
+                }
+                return coverSet;
+            } catch (err) {
+                console.error(`  Error creating cover variants for ${coverUrl}: ${err.message}`);
+                return null;
+            }
+        },
+
+        async save() {
+            if (!dirty) return;
+            await mkdir(dirname(CACHE_FILE), { recursive: true });
+            await writeFile(CACHE_FILE, JSON.stringify({ version: CACHE_VERSION, entries }));
+            dirty = false;
+        },
+    };
+}
+
+/**
+ * "#rrggbb" or "#rgb" → { r, g, b }, or null for anything else
+ */
+function parseHex(color) {
+    const match = String(color).trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (!match) return null;
+    const hex = match[1].length === 3 ? [...match[1]].map((c) => c + c).join("") : match[1];
+    const value = parseInt(hex, 16);
+    return { r: value >> 16, g: (value >> 8) & 0xff, b: value & 0xff };
+}
+
+/**
+ * WCAG relative luminance of an { r, g, b } color
+ */
+function luminance({ r, g, b }) {
+    const [R, G, B] = [r, g, b].map((c) => {
+        const s = c / 255;
+        return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+}
+
+/**
+ * WCAG contrast ratio between two colors (1 to 21)
+ */
+function contrastRatio(a, b) {
+    const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+}
+
+/**
+ * Spine color for a book: the dominant color of the cover's left edge,
+ * which is where the spine meets the front cover
+ */
+export async function getSpineColor(coverPath) {
+    const image = sharp(coverPath).rotate();
+    const { width, height } = (await sharp(coverPath).metadata()).autoOrient;
+    const edge = await image
+        .extract({ left: 0, top: 0, width: Math.max(1, Math.round(width * 0.08)), height })
+        .toBuffer();
+    const { dominant } = await sharp(edge).stats();
+    return toHex(dominant);
+}
+
+/**
+ * Black or white, whichever has the higher WCAG contrast against the
+ * background (always at least 4.5:1, AA for normal text). Returns null if
+ * the background isn't a hex color.
+ */
+export function getTextColor(background) {
+    const rgb = parseHex(background);
+    if (!rgb) return null;
+    const white = { r: 255, g: 255, b: 255 };
+    const black = { r: 0, g: 0, b: 0 };
+    return contrastRatio(rgb, white) >= contrastRatio(rgb, black) ? "#ffffff" : "#000000";
+}
@@ -0,0 +1,199 @@
+/**
+ * Helpers for working with Obsidian note bodies (plain markdown strings)
+ */
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})/;
+const CALLOUT_PATTERN = /^>\s*\[!([^\]]+)\][+-]?/;
+// ![[wikilink embed]] or ![alt](path "optional title")
+const EMBED_PATTERN = /!\[\[([^\]\n]+)\]\]|!\[([^\]\n]*)\]\((<[^>\n]+>|[^)\s]+)(?:\s+"[^"\n]*")?\)/g;
+
+/**
+ * Split a body into lines, marking headings and code. Lines inside fenced
+ * code blocks are never treated as headings.
+ */
+function scanLines(body) {
+    const lines = [];
+    let fence = null;
+
+    for (const text of body.split("\n")) {
+        const fenceMatch = text.match(FENCE_PATTERN);
+        if (fenceMatch) {
+            const marker = fenceMatch[1][0];
+            if (fence === null) fence = marker;
+            else if (fence === marker) fence = null;
+            lines.push({ text, heading: null, code: true });
+            continue;
+        }
+
+        const headingMatch = fence === null ? text.match(HEADING_PATTERN) : null;
+        lines.push({
+            text,
+            heading: headingMatch
+                ? { level: headingMatch[1].length, title: headingMatch[2].trim() }
+                : null,
+            code: fence !== null,
+        });
+    }
+
+    return lines;
+}
+
+/**
+ * Remove private content from a note body:
+ *   - sections under a heading listed in `headings` (until the next heading
+ *     of the same or a higher level)
+ *   - callouts whose type is listed in `callouts`, e.g. `> [!privat]`
+ * Matching is case-insensitive.
+ */
+export function stripPrivate(body, { headings = [], callouts = [] } = {}) {
+    const privateHeadings = new Set(headings.map((h) => h.toLowerCase()));
+    const privateCallouts = new Set(callouts.map((c) => c.toLowerCase()));
+    const kept = [];
+    let skipLevel = null;
+    let inCallout = false;
+
+    for (const { text, heading } of scanLines(body)) {
+        if (heading && skipLevel !== null && heading.level <= skipLevel) {
+            skipLevel = null;
+        }
+        if (skipLevel !== null) continue;
+
+        if (heading && privateHeadings.has(heading.title.toLowerCase())) {
+            skipLevel = heading.level;
+            continue;
+        }
+
+        if (inCallout) {
+            if (text.startsWith(">")) continue;
+            inCallout = false;
+        }
+
+        const calloutMatch = text.match(CALLOUT_PATTERN);
+        if (calloutMatch && privateCallouts.has(calloutMatch[1].trim().toLowerCase())) {
+            inCallout = true;
+            continue;
+        }
+
+        kept.push(text);
+    }
+
+    return kept.join("\n");
+}
+
+/**
+ * Keep only the content under the given headings (without the heading
+ * lines themselves). Multiple matching sections are joined in note order.
+ */
+export function extractSections(body, headings) {
+    const wanted = new Set(headings.map((h) => h.toLowerCase()));
+    const sections = [];
+    let current = null;
+
+    for (const { text, heading } of scanLines(body)) {
+        if (heading) {
+            if (current && heading.level <= current.level) {
+                sections.push(current.lines.join("\n").trim());
+                current = null;
+            }
+            if (!current && wanted.has(heading.title.toLowerCase())) {
+                current = { level: heading.level, lines: [] };
+                continue;
+            }
+        }
+        if (current) current.lines.push(text);
+    }
+    if (current) sections.push(current.lines.join("\n").trim());
+
+    return sections.filter(Boolean).join("\n\n");
+}
+
+/**
+ * Split the inside of a wikilink into its parts
+ * "Note#Heading|Alias" → { target: "Note", heading: "Heading", alias: "Alias" }
+ */
+export function parseWikilink(inner) {
+    // Inside tables the alias pipe is escaped as "\|"
+    const [link, ...aliasParts] = inner.replace(/\\\|/g, "|").split("|");
+    const [target, ...headingParts] = link.split("#");
+    return {
+        target: target.trim(),
+        heading: headingParts.length > 0 ? headingParts.join("#").trim() : null,
+        alias: aliasParts.length > 0 ? aliasParts.join("|").trim() : null,
+    };
+}
+
+/**
+ * Find all `[[wikilinks]]` and `![[embeds]]` in a body, skipping code blocks
+ * and inline code. Returns parsed links in order of appearance.
+ */
+export function findWikilinks(body) {
+    const links = [];
+
+    for (const { text, code } of scanLines(body)) {
+        if (code) continue;
+        const withoutInlineCode = text.replace(/`[^`]*`/g, "");
+        for (const match of withoutInlineCode.matchAll(/(!?)\[\[([^\]\n]+)\]\]/g)) {
+            links.push({ embed: match[1] === "!", ...parseWikilink(match[2]) });
+        }
+    }
+
+    return links;
+}
+
+/**
+ * Find all inline `#tags` in a body (without "#"), skipping code blocks and
+ * inline code. Like Obsidian, a tag follows whitespace or starts the line
+ * and isn't all digits, so "#1" and URL fragments don't count.
+ */
+export function findInlineTags(body) {
+    const tags = [];
+
+    for (const { text, code } of scanLines(body)) {
+        if (code) continue;
+        const withoutInlineCode = text.replace(/`[^`]*`/g, "");
+        for (const match of withoutInlineCode.matchAll(/(?:^|\s)#([\p{L}\p{N}_/-]+)/gu)) {
+            if (!/^\d+$/.test(match[1])) tags.push(match[1]);
+        }
+    }
+
+    return tags;
+}
+
+/**
+ * Replace image embeds outside of code: `![[file.png|alias]]` and
+ * `![alt](path/to/file.png)`. `replace` receives
+ * `{ target, alias, original }` (for markdown images, `alias` is the alt
+ * text and `target` the URL-decoded path) and returns the replacement, or
+ * null to keep the embed as is.
+ */
+export function replaceEmbeds(body, replace) {
+    const replaceMatch = (original, wikilink, alt, path) => {
+        const embed = wikilink !== undefined
+            ? { ...parseWikilink(wikilink), original }
+            : { target: decodePath(path.replace(/^<|>$/g, "")), alias: alt || null, original };
+        return replace(embed) ?? original;
+    };
+
+    return scanLines(body)
+        .map(({ text, code }) => {
+            if (code) return text;
+            // Odd parts are inline code spans, which are left alone
+            return text
+                .split(/(`[^`]*`)/)
+                .map((part, i) => (i % 2 === 1 ? part : part.replace(EMBED_PATTERN, replaceMatch)))
+                .join("");
+        })
+        .join("\n");
+}
+
+/**
+ * Decode %20 etc. in a markdown link path, keeping it as is if malformed
+ */
+function decodePath(path) {
+    try {
+        return decodeURI(path);
+    } catch {
+        return path;
+    }
+}
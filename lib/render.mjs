@@ -0,0 +1,257 @@
+import MarkdownIt from "markdown-it";
+import footnote from "markdown-it-footnote";
+import { basename, relative } from "path";
+import { COLLECTIONS, getItemUrl, isExported } from "./collections.mjs";
+import { parseWikilink } from "./markdown.mjs";
+import {
+    cleanWikilinks,
+    ensureUniqueSlugs,
+    getItemIdentity,
+    VAULT_PATH,
+} from "./utils.mjs";
+
+export const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|webp|avif|svg|bmp)$/i;
+
+/**
+ * Anchor id for a heading, shared by rendered headings and `[[Note#Heading]]`
+ * links: "Über das Buch" → "über-das-buch"
+ */
+export function headingAnchor(text) {
+    return text
+        .trim()
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s-]/gu, "")
+        .replace(/\s+/g, "-");
+}
+
+/**
+ * Map every exported note to its collection, slug and website URL so
+ * wikilinks can be resolved. Keys are lowercased note names, vault-relative
+ * paths (without .md) and frontmatter aliases. URLs come from the `urls`
+ * templates in the config (null if a collection has none); slugs are
+ * computed exactly like the exporters do.
+ */
+export function buildLinkIndex(notes) {
+    const index = new Map();
+
+    for (const key of Object.keys(COLLECTIONS)) {
+        const items = notes
+            .filter((note) => isExported(note, key))
+            .map((note) => ({ note, ...getItemIdentity(note.filePath, note.data) }));
+        ensureUniqueSlugs(items);
+
+        for (const { note, slug } of items) {
+            const url = getItemUrl(key, { slug, url: cleanWikilinks(note.data.Quelle) });
+            const entry = { collection: key, slug, url };
+
+            const names = [
+                basename(note.filePath, ".md"),
+                relative(VAULT_PATH, note.filePath).replace(/\.md$/, ""),
+                ...[note.data.aliases ?? []].flat(),
+            ];
+            for (const name of names) {
+                const lookup = String(name).toLowerCase();
+                // First collection wins if a name is used twice
+                if (!index.has(lookup)) index.set(lookup, entry);
+            }
+        }
+    }
+
+    return index;
+}
+
+/**
+ * Escape text for use in HTML
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+/**
+ * Inline rule for `[[wikilinks]]` and `![[embeds]]`.
+ * Resolved links become <a class="internal-link">, unresolved ones plain text.
+ * Image embeds become <img>; note embeds are rendered as links.
+ */
+function wikilinkRule(resolveLink, resolveEmbed) {
+    return (state, silent) => {
+        const start = state.pos;
+        const isEmbed = state.src.startsWith("![[", start);
+        if (!isEmbed && !state.src.startsWith("[[", start)) return false;
+
+        const open = start + (isEmbed ? 3 : 2);
+        const close = state.src.indexOf("]]", open);
+        if (close === -1) return false;
+        const inner = state.src.slice(open, close);
+        if (!inner || inner.includes("\n")) return false;
+
+        if (!silent) {
+            const { target, heading, alias } = parseWikilink(inner);
+
+            if (isEmbed && IMAGE_EXTENSIONS.test(target)) {
+                const src = resolveEmbed(target);
+                if (src) {
+                    const token = state.push("html_inline", "", 0);
+                    // Obsidian uses the alias slot for a width: ![[x.png|300]]
+                    const width = alias && /^\d+$/.test(alias) ? ` width="${alias}"` : "";
+                    const alt = alias && !width ? alias : basename(target);
+                    token.content = `<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}"${width}>`;
+                } else {
+                    state.push("text", "", 0).content = basename(target);
+                }
+            } else {
+                const label = alias ?? (heading ? (target ? `${target} > ${heading}` : heading) : target);
+                const anchor = heading ? `#${headingAnchor(heading)}` : "";
+                // [[#Heading]] points into the current note
+                const href = target ? resolveLink(target) : "";
+
+                if (href !== null && (href || anchor)) {
+                    const linkOpen = state.push("link_open", "a", 1);
+                    linkOpen.attrSet("href", `${href}${anchor}`);
+                    linkOpen.attrSet("class", "internal-link");
+                    state.push("text", "", 0).content = label;
+                    state.push("link_close", "a", -1);
+                } else {
+                    state.push("text", "", 0).content = label;
+                }
+            }
+        }
+
+        state.pos = close + 2;
+        return true;
+    };
+}
+
+/**
+ * Inline rule for `==highlights==` → <mark>
+ */
+function highlightRule(state, silent) {
+    const start = state.pos;
+    if (!state.src.startsWith("==", start)) return false;
+
+    const end = state.src.indexOf("==", start + 2);
+    if (end === -1 || end === start + 2) return false;
+    if (/\s/.test(state.src[start + 2]) || /\s/.test(state.src[end - 1])) return false;
+
+    if (!silent) {
+        const oldPosMax = state.posMax;
+        state.pos = start + 2;
+        state.posMax = end;
+        state.push("mark_open", "mark", 1);
+        state.md.inline.tokenize(state);
+        state.push("mark_close", "mark", -1);
+        state.posMax = oldPosMax;
+    }
+
+    state.pos = end + 2;
+    return true;
+}
+
+/**
+ * Inline rule for `#tags` (incl. nested `#medien/bücher`) → <span class="tag">.
+ * Must follow whitespace or start the line, and can't be all digits (#1).
+ */
+function tagRule(state, silent) {
+    const start = state.pos;
+    if (state.src[start] !== "#") return false;
+    if (start > 0 && !/\s/.test(state.src[start - 1])) return false;
+
+    const match = state.src.slice(start + 1).match(/^[\p{L}\p{N}_/-]+/u);
+    if (!match || /^\d+$/.test(match[0])) return false;
+
+    if (!silent) {
+        const token = state.push("html_inline", "", 0);
+        token.content = `<span class="tag" data-tag="${escapeHtml(match[0])}">#${escapeHtml(match[0])}</span>`;
+    }
+
+    state.pos = start + 1 + match[0].length;
+    return true;
+}
+
+/**
+ * Core rule turning `> [!type] Title` blockquotes into callout containers:
+ * <div class="callout" data-callout="type"> with a title and content div.
+ * Runs before inline parsing, so the callout marker line is still raw text.
+ */
+function calloutRule(state) {
+    const tokens = state.tokens;
+
+    for (let i = 0; i < tokens.length; i++) {
+        if (tokens[i].type !== "blockquote_open") continue;
+        const inline = tokens[i + 2];
+        if (tokens[i + 1]?.type !== "paragraph_open" || inline?.type !== "inline") continue;
+
+        const match = inline.content.match(/^\[!([^\]]+)\]([+-]?)[ \t]*(.*)(?:\n|$)/);
+        if (!match) continue;
+
+        const [marker, rawType, fold, rawTitle] = match;
+        const type = rawType.trim().toLowerCase();
+        const title = rawTitle.trim() || type.charAt(0).toUpperCase() + type.slice(1);
+
+        const closeIndex = tokens.findIndex(
+            (token, j) => j > i && token.type === "blockquote_close" && token.level === tokens[i].level
+        );
+
+        tokens[i].tag = "div";
+        tokens[i].attrSet("class", "callout");
+        tokens[i].attrSet("data-callout", type);
+        if (fold) tokens[i].attrSet("data-callout-fold", fold);
+        tokens[closeIndex].tag = "div";
+
+        const html = (content) => {
+            const token = new state.Token("html_block", "", 0);
+            token.content = content;
+            return token;
+        };
+
+        // Close the content wrapper before the callout closes
+        tokens.splice(closeIndex, 0, html("</div>\n"));
+
+        // Drop the marker line; remove the paragraph if nothing else is left
+        inline.content = inline.content.slice(marker.length);
+        const removeParagraph = inline.content.trim() === "";
+        tokens.splice(
+            i + 1,
+            removeParagraph ? 3 : 0,
+            html(`<div class="callout-title">${escapeHtml(title)}</div>\n`),
+            html('<div class="callout-content">\n')
+        );
+    }
+}
+
+/**
+ * Core rule giving headings an id, so `[[Note#Heading]]` links can target them
+ */
+function headingIdRule(state) {
+    const tokens = state.tokens;
+    for (let i = 0; i < tokens.length; i++) {
+        if (tokens[i].type === "heading_open" && tokens[i + 1]?.type === "inline") {
+            tokens[i].attrSet("id", headingAnchor(tokens[i + 1].content));
+        }
+    }
+}
+
+/**
+ * Create a markdown → HTML renderer with Obsidian syntax support:
+ * wikilinks, embeds, callouts, ==highlights==, #tags and footnotes.
+ *
+ * `linkIndex` comes from buildLinkIndex(); wikilinks to notes that aren't
+ * in it render as plain text. `resolveEmbed(target)` returns the src for an
+ * image embed, or null to render its name as plain text.
+ */
+export function createRenderer({ linkIndex = new Map(), resolveEmbed = () => null } = {}) {
+    const resolveLink = (target) => linkIndex.get(target.toLowerCase())?.url ?? null;
+
+    const md = new MarkdownIt({ html: true, linkify: true });
+    md.use(footnote);
+    md.inline.ruler.before("link", "wikilink", wikilinkRule(resolveLink, resolveEmbed));
+    md.inline.ruler.before("emphasis", "highlight", highlightRule);
+    md.inline.ruler.push("tag", tagRule);
+    md.core.ruler.after("block", "callout", calloutRule);
+    md.core.ruler.push("heading_id", headingIdRule);
+
+    return (markdown) => md.render(markdown);
+}
@@ -0,0 +1,58 @@
+import Ajv from "ajv";
+import { existsSync, readFileSync } from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+
+export const SCHEMAS_PATH = join(dirname(fileURLToPath(import.meta.url)), "../schemas");
+
+const ajv = new Ajv({ allErrors: true, verbose: true, allowUnionTypes: true });
+const validators = new Map();
+
+/**
+ * Get the compiled validator for an output file, e.g. books.json →
+ * schemas/books.schema.json. Returns null if the file has no schema.
+ */
+function getValidator(filename) {
+    if (!validators.has(filename)) {
+        const schemaPath = join(SCHEMAS_PATH, filename.replace(/\.json$/, ".schema.json"));
+        const validate = existsSync(schemaPath)
+            ? ajv.compile(JSON.parse(readFileSync(schemaPath, "utf-8")))
+            : null;
+        validators.set(filename, validate);
+    }
+    return validators.get(filename);
+}
+
+/**
+ * Find the title of the exported item an error points into, so violations
+ * can be traced back to a note ("/aktiv/3/rating" → "Dune")
+ */
+function findItemTitle(data, instancePath) {
+    const segments = instancePath.split("/").slice(1);
+    let current = data;
+    let title = null;
+    for (const segment of segments) {
+        if (current === null || typeof current !== "object") break;
+        current = current[segment];
+        if (current && typeof current === "object" && typeof current.title === "string") {
+            title = current.title;
+        }
+    }
+    return title;
+}
+
+/**
+ * Validate an output object against its published JSON Schema.
+ * Returns a list of human-readable violations (empty if valid).
+ */
+export function validateOutput(filename, data) {
+    const validate = getValidator(filename);
+    if (!validate || validate(data)) return [];
+
+    return validate.errors.map((error) => {
+        const title = findItemTitle(data, error.instancePath);
+        const location = error.instancePath || "/";
+        const value = error.instancePath ? ` (got ${JSON.stringify(error.data)})` : "";
+        return `${location}${title ? ` [${title}]` : ""} ${error.message}${value}`;
+    });
+}
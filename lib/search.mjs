@@ -0,0 +1,165 @@
+// Full-text search over all exports. The index is built at export time and
+// queried in the browser (or in Node) without loading every collection:
+//   documents: [{ collection, id, slug, title, url }]
+//   index:     { term: [documentNumber, weight, documentNumber, weight, ...] }
+// Terms are folded and stemmed by `tokenize`, so queries must use it too.
+
+// Weight of a term per field it appears in, per occurrence
+export const FIELD_WEIGHTS = {
+    title: 5,
+    creators: 3,
+    tags: 2,
+    description: 2,
+    body: 1,
+};
+
+// Words too common to be worth indexing (folded like the text)
+const STOP_WORDS = new Set(
+    [
+        "der", "die", "das", "den", "dem", "des", "ein", "eine", "einer", "eines", "einem", "einen",
+        "und", "oder", "aber", "ist", "sind", "war", "im", "in", "an", "am", "auf", "aus", "bei",
+        "mit", "von", "vom", "zu", "zum", "zur", "für", "über", "nicht", "sich", "auch", "als", "es",
+        "the", "a", "and", "or", "of", "to", "is", "for", "on", "with", "at", "by", "it",
+    ].map(foldGerman)
+);
+
+/**
+ * Lowercase and fold German spelling variants: "Größe" → "groesse",
+ * "Café" → "cafe". Umlauts become their two-letter transcription so
+ * "Muenchen" finds "München".
+ */
+export function foldGerman(text) {
+    return String(text)
+        .normalize("NFC")
+        .toLowerCase()
+        .replace(/ä/g, "ae")
+        .replace(/ö/g, "oe")
+        .replace(/ü/g, "ue")
+        .replace(/ß/g, "ss")
+        .normalize("NFD")
+        .replace(/\p{M}/gu, "");
+}
+
+/**
+ * Light German stemmer for folded words, after CISTEM: umlaut
+ * transcriptions collapse onto the plain vowel and common inflection
+ * suffixes are stripped, so "Bücher", "Buches" and "Buch" share "buch".
+ * Words with digits are kept as they are.
+ */
+export function stem(word) {
+    if (/\d/.test(word)) return word;
+
+    let result = word.replace(/([aou])e/g, "$1");
+    // A final "ss" (from ß) stays, so "Größe" and "groß" share "gross"
+    while (result.length > 3) {
+        if (result.length > 5 && /(em|er|nd)$/.test(result)) {
+            result = result.slice(0, -2);
+        } else if (/([en]|[^s]s)$/.test(result)) {
+            result = result.slice(0, -1);
+        } else {
+            break;
+        }
+    }
+    return result;
+}
+
+/**
+ * Split text into index terms: markup (HTML tags, URLs, link targets) is
+ * dropped, words are folded, stop words removed and the rest stemmed
+ */
+export function tokenize(text) {
+    if (!text) return [];
+    const words = foldGerman(
+        String(text)
+            .replace(/<[^>]+>/g, " ")
+            .replace(/\]\([^)]*\)/g, " ")
+            .replace(/https?:\/\/\S+/g, " ")
+    ).split(/[^\p{L}\p{N}]+/u);
+
+    return words.filter((word) => word.length > 1 && !STOP_WORDS.has(word)).map(stem);
+}
+
+/**
+ * Build the serializable index from `[{ document, fields }]`, where
+ * `fields` maps FIELD_WEIGHTS keys to a string or a list of strings
+ */
+export function createSearchIndex(entries) {
+    const postings = new Map();
+
+    entries.forEach(({ fields }, documentNumber) => {
+        const weights = new Map();
+        for (const [field, value] of Object.entries(fields)) {
+            const weight = FIELD_WEIGHTS[field];
+            if (!weight) throw new Error(`Unknown search field: ${field}`);
+            for (const term of [value ?? []].flat().flatMap(tokenize)) {
+                weights.set(term, (weights.get(term) ?? 0) + weight);
+            }
+        }
+        for (const [term, weight] of weights) {
+            if (!postings.has(term)) postings.set(term, []);
+            postings.get(term).push(documentNumber, weight);
+        }
+    });
+
+    // Sorted terms keep the file stable between exports
+    const index = {};
+    for (const term of [...postings.keys()].sort()) {
+        index[term] = postings.get(term);
+    }
+    return { documents: entries.map(({ document }) => document), index };
+}
+
+/**
+ * Add the scores of the documents containing a term: weight × inverse
+ * document frequency, so rare terms count more than ones found everywhere
+ */
+function scoreTerm({ documents, index }, term, scores) {
+    const postings = index[term];
+    if (!postings) return;
+    const idf = Math.log(1 + documents.length / (postings.length / 2));
+    for (let i = 0; i < postings.length; i += 2) {
+        const [documentNumber, weight] = [postings[i], postings[i + 1]];
+        scores.set(documentNumber, (scores.get(documentNumber) ?? 0) + weight * idf);
+    }
+}
+
+/**
+ * Search an index created by createSearchIndex (or read from
+ * search-index.json). Every query word has to match; the last one also
+ * matches as a prefix, for search-as-you-type. Returns the best documents
+ * first, each with its `score`.
+ */
+export function searchIndex(data, query, { limit = 20, collection = null } = {}) {
+    const terms = tokenize(query);
+    if (terms.length === 0) return [];
+
+    let results = null;
+    terms.forEach((term, position) => {
+        const isLast = position === terms.length - 1;
+        const matching = isLast
+            ? Object.keys(data.index).filter((indexTerm) => indexTerm.startsWith(term))
+            : [term];
+
+        const scores = new Map();
+        for (const indexTerm of matching) scoreTerm(data, indexTerm, scores);
+
+        // Keep only documents that matched every term so far
+        if (results === null) {
+            results = scores;
+        } else {
+            for (const [documentNumber, score] of results) {
+                if (scores.has(documentNumber)) {
+                    results.set(documentNumber, score + scores.get(documentNumber));
+                } else {
+                    results.delete(documentNumber);
+                }
+            }
+        }
+    });
+
+    return [...results]
+        .map(([documentNumber, score]) => ({ ...data.documents[documentNumber], score }))
+        .filter((document) => !collection || document.collection === collection)
+        .sort((a, b) => b.score - a.score || String(a.title).localeCompare(String(b.title)))
+        .slice(0, limit);
+}
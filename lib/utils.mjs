@@ -1,12 +1,48 @@
-import { readFile } from "fs/promises";
+import { createHash } from "crypto";
+import { statSync } from "fs";
+import { copyFile, mkdir, readFile, writeFile } from "fs/promises";
 import { glob } from "glob";
 import matter from "gray-matter";
-import { dirname, join } from "path";
-import { fileURLToPath } from "url";
+import { basename, dirname, join, relative, sep } from "path";
+import { openNoteCache } from "./cache.mjs";
+import { config } from "./config.mjs";
+import { diffOutput, formatDiff } from "./diff.mjs";
+import { loadIgnoreRules } from "./ignore.mjs";
+import { extractSections, findInlineTags, parseWikilink, stripPrivate } from "./markdown.mjs";
+import { validateOutput } from "./schema.mjs";
+import { foldGerman } from "./search.mjs";
 
-const __dirname = dirname(fileURLToPath(import.meta.url));
-export const VAULT_PATH = "/Users/robin/Documents/Obsidian/Notes";
-export const OUTPUT_PATH = join(__dirname, "../output");
+export { config };
+export const VAULT_PATH = config.vaultPath;
+export const OUTPUT_PATH = config.outputPath;
+export const CACHE_PATH = join(OUTPUT_PATH, ".cache");
+
+let noteCache = null;
+
+/**
+ * Lazily open the persistent parse cache (null when disabled via --no-cache)
+ */
+async function getNoteCache() {
+    if (!config.cache) return null;
+    noteCache ??= await openNoteCache(join(CACHE_PATH, "notes.json"), VAULT_PATH);
+    return noteCache;
+}
+
+/**
+ * Fail loudly when the configured vault is missing, instead of globbing
+ * nothing and writing an empty export
+ */
+export function assertVaultPath() {
+    let stats;
+    try {
+        stats = statSync(VAULT_PATH);
+    } catch (err) {
+        throw new Error(`Vault path does not exist: ${VAULT_PATH}`);
+    }
+    if (!stats.isDirectory()) {
+        throw new Error(`Vault path is not a directory: ${VAULT_PATH}`);
+    }
+}
 
 /**
  * Get lastUpdated timestamp - preserves existing timestamp if data unchanged
@@ -63,33 +99,232 @@ export function cleanAllWikilinks(obj) {
  * Parse a markdown file and extract frontmatter
  */
 export async function parseMarkdownFile(filePath) {
-    const content = await readFile(filePath, "utf-8");
-    const { data, content: body } = matter(content);
+    const parseContent = (content) => {
+        const { data, content: body } = matter(content);
+        return { data, body };
+    };
+
+    // Reuse the cached parse result unless the file changed
+    const cache = await getNoteCache();
+    if (cache) {
+        const { data, body } = await cache.parse(filePath, parseContent);
+        return { data, body, filePath };
+    }
+
+    const { data, body } = parseContent(await readFile(filePath, "utf-8"));
     return { data, body, filePath };
 }
 
 /**
- * Find all markdown files matching a glob pattern
+ * Find all markdown files matching a glob pattern (sorted for stable output).
+ * Files excluded by the vault's ignore rules (.exportignore, Obsidian's
+ * excluded files and templates folder) are skipped.
  */
 export async function findMarkdownFiles(pattern) {
-    return glob(pattern, { cwd: VAULT_PATH, absolute: true });
+    assertVaultPath();
+    const isIgnored = loadIgnoreRules(VAULT_PATH);
+    const files = await glob(pattern, { cwd: VAULT_PATH, posix: true });
+    return files
+        .filter((file) => !isIgnored(file))
+        .map((file) => join(VAULT_PATH, file))
+        .sort();
+}
+
+/**
+ * Scan the vault once: glob every note and parse its frontmatter.
+ * Returns `{ data, body, filePath }` records that exporters can share,
+ * so export-all doesn't read and YAML-parse the vault once per exporter.
+ */
+export async function loadVaultNotes() {
+    const files = await findMarkdownFiles("**/*.md");
+    const notes = [];
+
+    for (const filePath of files) {
+        try {
+            notes.push(await parseMarkdownFile(filePath));
+        } catch (err) {
+            console.error(`  Error processing ${filePath}: ${err.message}`);
+        }
+    }
+
+    // Forget deleted notes and persist what changed (not in a dry run)
+    const cache = await getNoteCache();
+    if (cache && !config.dryRun) {
+        cache.prune(files);
+        await cache.save();
+    }
+
+    return notes;
+}
+
+/**
+ * Normalize a category or tag name for comparison
+ */
+function normalizeName(name) {
+    return String(name).trim().normalize("NFC").toLowerCase();
+}
+
+/**
+ * Category name of a Kategorie value: "[[Kategorien/Bücher|Books]]" → "Bücher"
+ */
+function getKategorieName(value) {
+    const { target } = parseWikilink(String(value).trim().replace(/^\[\[|\]\]$/g, ""));
+    return target.split("/").pop();
 }
 
 /**
- * Filter files by Kategorie value (supports partial matching)
+ * Whether a note's Kategorie is one of the given names. Kategorie may be a
+ * list or a comma-separated string (`"[[Bücher]], [[Favoriten]]"`; commas
+ * inside a wikilink don't split). Matching is exact apart from case:
+ * `[[Hörbücher]]` is not "Bücher".
  */
-export function hasKategorie(data, kategorie) {
+export function hasKategorie(data, names) {
     const kat = data.Kategorie;
     if (!kat) return false;
 
-    // Kategorie can be a string or array
-    const values = Array.isArray(kat) ? kat : [kat];
+    const wanted = [names].flat().map(normalizeName);
+    return [kat]
+        .flat()
+        .flatMap((value) => (typeof value === "string" ? value.split(/,(?![^[]*\]\])/) : [value]))
+        .filter((value) => String(value).trim())
+        .some((value) => wanted.includes(normalizeName(getKategorieName(value))));
+}
+
+/**
+ * Frontmatter tags as lowercase names without "#" (`tags: [a, "#b"]` or
+ * `tags: "a, b"`). `keys` are the frontmatter fields to read.
+ */
+export function getTags(data, keys = ["tags"]) {
+    return keys
+        .flatMap((key) => [data[key] ?? []].flat())
+        .flatMap((tag) => String(tag).split(/[\s,]+/))
+        .map((tag) => normalizeName(tag.replace(/^#/, "")))
+        .filter(Boolean);
+}
+
+/**
+ * First note tag that is one of the given tags or nested below one
+ * (`medien/bücher/fantasy` for "medien/bücher"), undefined if none.
+ * `noteTags` defaults to the frontmatter `tags`.
+ */
+export function findTag(data, tags, noteTags = getTags(data)) {
+    const wanted = tags.map((tag) => normalizeName(tag.replace(/^#/, "")));
+    return noteTags.find((name) =>
+        wanted.some((tag) => name === tag || name.startsWith(`${tag}/`))
+    );
+}
+
+/**
+ * Publishing policy shared by every exporter. Returns why a note is
+ * withheld from a collection's export, or null if it may be published:
+ *   1. `privat: true` or `publish: false` in the frontmatter
+ *   2. a private tag (`privateTags`, nested ones like #privat/familie too)
+ *      in `tags`, the collection's own tag fields or the note body
+ *   3. a folder listed in `excludeFolders`
+ *   4. `publish: true` publishes regardless of the collection's defaults
+ *   5. opt-in collections (`optInCollections`) need `publish: true`
+ *   6. the collection's own rule, `publish: { test(data), reason }` (e.g.
+ *      favorites)
+ * `tagKeys` and `publish` come from the collection (see COLLECTIONS).
+ */
+export function getExcludeReason({ data, body, filePath }, collection, { tagKeys = [], publish } = {}) {
+    if (data.privat === true) return "privat: true";
+    if (data.publish === false) return "publish: false";
+
+    const noteTags = [
+        ...getTags(data, ["tags", ...tagKeys]),
+        ...findInlineTags(body ?? "").map(normalizeName),
+    ];
+    const tag = findTag(data, config.privateTags, noteTags);
+    if (tag) return `Private tag #${tag}`;
+
+    const notePath = relative(VAULT_PATH, filePath).split(sep).join("/");
+    const folder = config.excludeFolders
+        .map((name) => name.replace(/^\/+|\/+$/g, ""))
+        .find((name) => notePath.startsWith(`${name}/`));
+    if (folder) return `Excluded folder ${folder}/`;
 
-    // Check if any value includes the search term (after cleaning wikilinks)
-    return values.some((v) => {
-        const cleaned = cleanWikilinks(v);
-        return cleaned.includes(kategorie);
+    if (data.publish === true) return null;
+    if (config.optInCollections.includes(collection)) return "Opt-in collection without publish: true";
+    if (publish && !publish.test(data)) return publish.reason;
+    return null;
+}
+
+/**
+ * Parse a frontmatter date (YAML Date object or string like
+ * "2025-03-01 10:00"). Returns null if missing or invalid.
+ */
+export function parseDate(value) {
+    if (!value) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Generate a URL-friendly slug from a filename or title
+ * "The Hobbit.md" → "the-hobbit", "Bücher über Straßen" → "buecher-ueber-strassen"
+ * Umlauts and ß are transcribed, other accents and compatibility forms
+ * (ligatures, superscripts) are folded to ASCII.
+ */
+export function slugify(value) {
+    return foldGerman(String(value).replace(/\.md$/, ""))
+        .normalize("NFKD")
+        .replace(/\p{M}/gu, "")
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Deterministic identity for an exported item.
+ * An optional frontmatter `id` wins; otherwise the id is a short hash of the
+ * vault-relative path and the slug comes from the filename.
+ */
+export function getItemIdentity(filePath, data) {
+    const customId = data.id !== undefined && data.id !== null && data.id !== "" ? String(data.id) : null;
+    const id =
+        customId ??
+        createHash("sha1").update(relative(VAULT_PATH, filePath)).digest("hex").slice(0, 12);
+    const slug = slugify(customId ?? basename(filePath)) || id;
+    return { id, slug };
+}
+
+/**
+ * Make slugs unique within a collection. Later duplicates (in vault path
+ * order) get a numeric suffix: "dune", "dune-2", ...
+ * Pass no label to resolve collisions without warning.
+ */
+export function ensureUniqueSlugs(items, label) {
+    const taken = new Set();
+    for (const item of items) {
+        let slug = item.slug;
+        for (let n = 2; taken.has(slug); n++) {
+            slug = `${item.slug}-${n}`;
+        }
+        if (slug !== item.slug) {
+            if (label) {
+                console.warn(`  Warning: Duplicate ${label} slug "${item.slug}" for "${item.title}", using "${slug}"`);
+            }
+            item.slug = slug;
+        }
+        taken.add(slug);
+    }
+    return items;
+}
+
+/**
+ * Public note content for a collection: private headings and callouts are
+ * stripped, then (if configured) only the wanted sections are kept.
+ * Returns undefined when bodies are not enabled for the collection.
+ */
+export function getNoteContent(body, collection) {
+    if (!config.includeBodies.includes(collection)) return undefined;
+
+    const publicBody = stripPrivate(body, {
+        headings: config.privateHeadings,
+        callouts: config.privateCallouts,
     });
+    const sections = config.bodySections[collection] ?? [];
+    return sections.length > 0 ? extractSections(publicBody, sections) : publicBody.trim();
 }
 
 /**
@@ -126,12 +361,93 @@ export function createOutput(items) {
 }
 
 /**
- * Write JSON to output file
+ * Write JSON to output file, after validating it against its schema in
+ * schemas/. Violations are reported; with --strict they abort the write.
+ * `compact` skips the indentation for files only read by machines.
  */
-export async function writeOutput(filename, data) {
-    const { writeFile, mkdir } = await import("fs/promises");
-    await mkdir(OUTPUT_PATH, { recursive: true });
+export async function writeOutput(filename, data, { compact = false } = {}) {
+    // Validate the serialized form (Dates become strings, undefined drops out)
+    const json = JSON.stringify(data, null, compact ? 0 : 2);
+    const violations = validateOutput(filename, JSON.parse(json));
+    if (violations.length > 0) {
+        const log = config.strict ? console.error : console.warn;
+        log(`  Schema violations in ${filename} (${violations.length}):`);
+        violations.forEach((violation) => log(`    - ${violation}`));
+        if (config.strict) {
+            throw new Error(`${filename} does not match its schema (--strict)`);
+        }
+    }
+
     const outputPath = join(OUTPUT_PATH, filename);
-    await writeFile(outputPath, JSON.stringify(data, null, 2));
+
+    if (config.dryRun || config.diffJson) {
+        await reportDiff(filename, outputPath, JSON.parse(json));
+    }
+    if (config.dryRun) return outputPath;
+
+    await mkdir(OUTPUT_PATH, { recursive: true });
+    await writeFile(outputPath, json);
     return outputPath;
 }
+
+/**
+ * Read a previous export from the output folder, e.g. for exporters that
+ * derive their data from other exports when run standalone
+ */
+export async function readOutput(filename) {
+    try {
+        return JSON.parse(await readFile(join(OUTPUT_PATH, filename), "utf-8"));
+    } catch (err) {
+        throw new Error(`Can't read ${filename}, run its export first (${err.message})`);
+    }
+}
+
+/**
+ * "Exported", or "Would export" in a dry run, for the exporters' summary
+ * lines (writeOutput writes nothing in a dry run)
+ */
+export function exportedVerb() {
+    return config.dryRun ? "Would export" : "Exported";
+}
+
+// Diffs of the current export run, written to --diff-json
+const diffs = [];
+
+/**
+ * Start a new --diff-json report, e.g. for each re-run in watch mode, so
+ * it only lists the changes of that run
+ */
+export function resetDiffReport() {
+    diffs.length = 0;
+}
+
+/**
+ * Compare a new export with the file currently on disk. Dry runs print the
+ * diff; --diff-json <file> collects every collection's diff into one file.
+ */
+async function reportDiff(filename, outputPath, newData) {
+    let existing = null;
+    try {
+        existing = JSON.parse(await readFile(outputPath, "utf-8"));
+    } catch (err) {
+        // No previous export - everything counts as added
+    }
+
+    const diff = diffOutput(filename, existing, newData);
+    if (config.dryRun) console.log(formatDiff(diff));
+
+    if (config.diffJson) {
+        diffs.push(diff);
+        await writeFile(config.diffJson, JSON.stringify({ dryRun: config.dryRun, diffs }, null, 2));
+    }
+}
+
+/**
+ * Copy a file (e.g. a cover) into the output directory, creating parent
+ * folders as needed. Skipped in a dry run so nothing is written.
+ */
+export async function copyToOutput(sourcePath, destPath) {
+    if (config.dryRun) return;
+    await mkdir(dirname(destPath), { recursive: true });
+    await copyFile(sourcePath, destPath);
+}
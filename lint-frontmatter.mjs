@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+
+/**
+ * Lint vault frontmatter for every exported collection.
+ *
+ * Uses the exporters' KEY_MAPs and Kategorie filters to report:
+ *   - unknown frontmatter keys (with a "did you mean" hint for likely typos)
+ *   - missing required fields (errors: the item is dropped or breaks its
+ *     schema) and missing fields the exporter falls back on (warnings)
+ *   - unparseable dates
+ *   - finished books without a `Beendet` date (they end up in "unknown")
+ *   - `Bewertung` lists that don't match the `Beendet` dates (re-reads)
+ *   - season notes (`Serie: [[Show]]`) without a season number
+ *   - `Cover (lokal)` paths that don't exist in the vault
+ *   - notes that match more than one collection
+ *
+ * Usage:
+ *   node lint-frontmatter.mjs                     # human-readable table
+ *   node lint-frontmatter.mjs --json              # JSON report on stdout
+ *   node lint-frontmatter.mjs --report lint.json  # table + JSON report file
+ *
+ * Exits with code 1 when at least one error was found.
+ */
+
+import { existsSync } from "fs";
+import { writeFile } from "fs/promises";
+import { join, relative } from "path";
+import { parseArgs } from "util";
+import {
+    loadVaultNotes,
+    normalizeStatus,
+    VAULT_PATH,
+} from "./lib/utils.mjs";
+import { COLLECTIONS, getCollections, isSeasonNote } from "./lib/collections.mjs";
+import { KEY_MAP as BOOK_KEYS } from "./export-books.mjs";
+import { KEY_MAP as SERIES_KEYS, SEASON_KEY_MAP } from "./export-series.mjs";
+import { KEY_MAP as MOVIE_KEYS } from "./export-movies.mjs";
+import { KEY_MAP as GARDEN_KEYS } from "./export-digital-garden.mjs";
+import { KEY_MAP as TIMELINE_KEYS } from "./export-timeline.mjs";
+import { KEY_MAP as BOOKMARK_KEYS } from "./export-bookmarks.mjs";
+
+const { values: flags } = parseArgs({
+    options: {
+        json: { type: "boolean" },
+        report: { type: "string" },
+    },
+    strict: false,
+});
+
+// Keys every note may carry without being exported (publish/privat are
+// the publishing flags, see getExcludeReason)
+const COMMON_KEYS = ["Kategorie", "id", "tags", "aliases", "cssclasses", "publish", "privat"];
+
+// Per-collection rules. `keys` are all frontmatter keys the exporter knows
+// about; anything else is reported as unknown. A missing `required` field
+// is an error: without `Status` the item is in no list, without the others
+// it doesn't match its schema. A missing `recommended` field is a warning
+// with the exporter's fallback.
+const RULES = {
+    books: {
+        keys: [...Object.keys(BOOK_KEYS), "Status"],
+        required: ["Titel", "Status"],
+        recommended: { Autor: "exported without author" },
+        dates: ["Beendet", "Hinzugefügt", "Begonnen"],
+    },
+    series: {
+        keys: [...Object.keys(SERIES_KEYS), "Status", "Staffeln"],
+        required: ["Titel", "Status"],
+        dates: ["Beendet", "Hinzugefügt", "Erschienen"],
+    },
+    movies: {
+        keys: [...Object.keys(MOVIE_KEYS), "Status"],
+        required: ["Titel", "Status"],
+        dates: ["Beendet", "Hinzugefügt", "Erschienen"],
+    },
+    digitalGarden: {
+        keys: Object.keys(GARDEN_KEYS),
+        required: [],
+        recommended: { Thema: 'exported under "Uncategorized"' },
+        dates: ["Hinzugefügt", "Bearbeitet"],
+    },
+    timeline: {
+        keys: Object.keys(TIMELINE_KEYS),
+        required: ["Titel", "Beginn"],
+        recommended: { Typ: 'exported under "unknown"' },
+        dates: ["Beginn", "Ende", "Hinzugefügt"],
+    },
+    bookmarks: {
+        // Favorit is the publish gate, not an exported field
+        keys: [...Object.keys(BOOKMARK_KEYS), "Favorit"],
+        required: ["Titel", "Quelle"],
+        dates: ["Hinzugefügt"],
+    },
+};
+
+// Season notes (`Serie: [[Show]]`) are part of their show, not shows themselves
+const SEASON_RULES = {
+    keys: [...Object.keys(SEASON_KEY_MAP), "Serie"],
+    required: ["Serie"],
+    recommended: { Staffel: "exported without season number" },
+    dates: ["Beendet"],
+};
+
+/**
+ * Levenshtein distance, used to spot typos like "Autr" → "Autor"
+ */
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let prev = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const temp = row[j];
+            row[j] = Math.min(
+                row[j] + 1,
+                row[j - 1] + 1,
+                prev + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1)
+            );
+            prev = temp;
+        }
+    }
+    return row[b.length];
+}
+
+/**
+ * Return the closest known key if the unknown one looks like a typo of it
+ */
+function suggestKey(key, knownKeys) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const known of knownKeys) {
+        const distance = editDistance(key, known);
+        if (distance < bestDistance) {
+            best = known;
+            bestDistance = distance;
+        }
+    }
+    const threshold = key.length <= 4 ? 1 : 2;
+    return bestDistance <= threshold ? best : null;
+}
+
+/**
+ * Empty frontmatter values ("", null, []) count as "not set"
+ */
+function isEmpty(value) {
+    return (
+        value === undefined ||
+        value === null ||
+        value === "" ||
+        (Array.isArray(value) && value.length === 0)
+    );
+}
+
+/**
+ * Check a frontmatter date: YAML dates arrive as Date objects, everything
+ * else must look like YYYY, YYYY-MM-DD or YYYY-MM-DD HH:mm (BCE allowed)
+ */
+function isValidDate(value) {
+    if (value instanceof Date) return !isNaN(value.getTime());
+    if (typeof value === "number") return Number.isInteger(value);
+    if (typeof value !== "string") return false;
+
+    const match = value
+        .trim()
+        .match(/^(-?\d{4,})(?:-(\d{2})(?:-(\d{2})(?:[ T](\d{2}):(\d{2})(?::\d{2})?)?)?)?$/);
+    if (!match) return false;
+
+    const [, , month = "01", day = "01", hour = "00", minute = "00"] = match;
+    const probe = new Date(Date.UTC(2000, Number(month) - 1, Number(day)));
+    return (
+        probe.getUTCMonth() === Number(month) - 1 &&
+        probe.getUTCDate() === Number(day) &&
+        Number(hour) < 24 &&
+        Number(minute) < 60
+    );
+}
+
+/**
+ * Lint a single note against one collection's rules
+ */
+function lintNote(data, collection) {
+    const rules = collection === "series" && isSeasonNote(data) ? SEASON_RULES : RULES[collection];
+    const knownKeys = [...COMMON_KEYS, ...rules.keys];
+    const problems = [];
+    const add = (severity, field, message) => problems.push({ severity, field, message });
+
+    for (const key of Object.keys(data)) {
+        if (knownKeys.includes(key)) continue;
+        const suggestion = suggestKey(key, rules.keys);
+        if (suggestion) {
+            add("error", key, `Unknown key, did you mean "${suggestion}"?`);
+        } else {
+            add("warning", key, "Unknown key (not exported)");
+        }
+    }
+
+    for (const field of rules.required) {
+        if (isEmpty(data[field])) add("error", field, "Missing required field");
+    }
+    for (const [field, fallback] of Object.entries(rules.recommended ?? {})) {
+        if (isEmpty(data[field])) add("warning", field, `Missing field (${fallback})`);
+    }
+
+    // Lists are allowed for re-reads (several Beendet dates)
+    for (const field of rules.dates) {
+        if (isEmpty(data[field])) continue;
+        for (const value of [data[field]].flat()) {
+            if (!isValidDate(value)) {
+                add("error", field, `Unparseable date: ${JSON.stringify(value)}`);
+            }
+        }
+    }
+
+    if (
+        collection === "books" &&
+        normalizeStatus(data.Status)[0] === "Abgeschlossen" &&
+        isEmpty(data.Beendet)
+    ) {
+        add("error", "Beendet", 'Finished book without date (exported under "unknown")');
+    }
+
+    if (
+        collection === "books" &&
+        Array.isArray(data.Bewertung) &&
+        data.Bewertung.length !== [data.Beendet ?? []].flat().length
+    ) {
+        add("warning", "Bewertung", "Rating list doesn't match the number of Beendet dates");
+    }
+
+    const coverLocal = data["Cover (lokal)"];
+    if (!isEmpty(coverLocal) && !existsSync(join(VAULT_PATH, String(coverLocal)))) {
+        add("error", "Cover (lokal)", `File not found: ${coverLocal}`);
+    }
+
+    return problems;
+}
+
+/**
+ * Render findings as an aligned plain-text table
+ */
+function formatTable(findings) {
+    const header = ["Severity", "Collection", "Note", "Field", "Message"];
+    const rows = findings.map((f) => [
+        f.severity,
+        COLLECTIONS[f.collection].label,
+        f.note,
+        f.field,
+        f.message,
+    ]);
+    const widths = header.map((h, i) =>
+        Math.max(h.length, ...rows.map((row) => row[i].length))
+    );
+    const line = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd();
+
+    return [line(header), line(widths.map((w) => "-".repeat(w))), ...rows.map(line)].join("\n");
+}
+
+async function lintFrontmatter() {
+    const notes = await loadVaultNotes();
+    const findings = [];
+    const checked = {};
+
+    for (const { data, filePath } of notes) {
+        const note = relative(VAULT_PATH, filePath);
+        const collections = getCollections(data);
+
+        for (const collection of collections) {
+            checked[collection] = (checked[collection] ?? 0) + 1;
+            for (const problem of lintNote(data, collection)) {
+                findings.push({ collection, note, ...problem });
+            }
+        }
+
+        if (collections.length > 1) {
+            const labels = collections.map((key) => COLLECTIONS[key].label).join(", ");
+            findings.push({
+                collection: collections[0],
+                note,
+                severity: "warning",
+                field: "Kategorie",
+                message: `Matches several collections: ${labels}`,
+            });
+        }
+    }
+
+    const errors = findings.filter((f) => f.severity === "error").length;
+    const report = {
+        vaultPath: VAULT_PATH,
+        checked,
+        errors,
+        warnings: findings.length - errors,
+        findings,
+    };
+
+    if (flags.report) {
+        await writeFile(flags.report, JSON.stringify(report, null, 2));
+    }
+
+    if (flags.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log("=== Frontmatter Lint ===\n");
+        for (const [collection, count] of Object.entries(checked)) {
+            console.log(`${COLLECTIONS[collection].label}: ${count} notes`);
+        }
+        console.log();
+        if (findings.length > 0) {
+            console.log(formatTable(findings));
+            console.log();
+        }
+        console.log(`${errors} errors, ${report.warnings} warnings`);
+        if (flags.report) console.log(`Report: ${flags.report}`);
+    }
+
+    if (errors > 0) process.exitCode = 1;
+}
+
+lintFrontmatter().catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
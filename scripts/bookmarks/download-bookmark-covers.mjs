@@ -37,9 +37,9 @@ import sharp from "sharp";
 import {
     findMarkdownFiles,
     parseMarkdownFile,
-    hasKategorie,
     VAULT_PATH,
 } from "../../lib/utils.mjs";
+import { matchesCollection } from "../../lib/collections.mjs";
 
 const COVER_DIR = join(VAULT_PATH, "Attachments/Bookmark Cover");
 
@@ -186,7 +186,7 @@ async function main() {
     const bookmarks = [];
     for (const file of files) {
         const { data } = await parseMarkdownFile(file);
-        if (hasKategorie(data, "Bookmarks")) {
+        if (matchesCollection(data, "bookmarks")) {
             bookmarks.push({ data, file });
         }
     }
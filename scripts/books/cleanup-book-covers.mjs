@@ -7,9 +7,9 @@ import matter from "gray-matter";
 import {
     findMarkdownFiles,
     parseMarkdownFile,
-    hasKategorie,
     VAULT_PATH,
 } from "../../lib/utils.mjs";
+import { matchesCollection } from "../../lib/collections.mjs";
 
 /**
  * Clean up book note frontmatter
@@ -80,7 +80,7 @@ async function main() {
     const books = [];
     for (const file of files) {
         const { data } = await parseMarkdownFile(file);
-        if (hasKategorie(data, "Bücher")) {
+        if (matchesCollection(data, "books")) {
             books.push({
                 title: data.Titel || "Unknown",
                 author: data.Autor || "Unknown",
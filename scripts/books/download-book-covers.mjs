@@ -8,9 +8,9 @@ import sharp from "sharp";
 import {
     findMarkdownFiles,
     parseMarkdownFile,
-    hasKategorie,
     VAULT_PATH,
 } from "../../lib/utils.mjs";
+import { matchesCollection } from "../../lib/collections.mjs";
 
 const COVER_DIR = join(VAULT_PATH, "Attachments/Book Cover");
 
@@ -139,7 +139,7 @@ async function main() {
     const books = [];
     for (const file of files) {
         const { data } = await parseMarkdownFile(file);
-        if (hasKategorie(data, "Bücher")) {
+        if (matchesCollection(data, "books")) {
             books.push({ data, file });
         }
     }
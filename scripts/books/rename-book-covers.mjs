@@ -7,9 +7,9 @@ import matter from "gray-matter";
 import {
     findMarkdownFiles,
     parseMarkdownFile,
-    hasKategorie,
     VAULT_PATH,
 } from "../../lib/utils.mjs";
+import { matchesCollection } from "../../lib/collections.mjs";
 
 const COVER_DIR = join(VAULT_PATH, "Attachments/Book Cover");
 
@@ -104,7 +104,7 @@ async function main() {
     const booksWithCovers = [];
     for (const file of files) {
         const { data } = await parseMarkdownFile(file);
-        if (hasKategorie(data, "Bücher") && data["Cover (lokal)"]) {
+        if (matchesCollection(data, "books") && data["Cover (lokal)"]) {
             booksWithCovers.push({
                 title: data.Titel || "Unknown",
                 author: data.Autor || "Unknown",
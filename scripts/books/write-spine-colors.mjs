@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+import { existsSync } from "fs";
+import { readFile, writeFile } from "fs/promises";
+import { join } from "path";
+import matter from "gray-matter";
+import {
+    findMarkdownFiles,
+    parseMarkdownFile,
+    VAULT_PATH,
+} from "../../lib/utils.mjs";
+import { matchesCollection } from "../../lib/collections.mjs";
+import { getSpineColor, getTextColor } from "../../lib/images.mjs";
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const dryRunMode = args.includes("--dry-run");
+const testMode = args.includes("--test");
+const testCount = testMode ? 2 : 0;
+
+/**
+ * Write the computed colors into the book note, only filling empty fields
+ */
+async function updateBookFrontmatter(filepath, spineColor, textColor) {
+    const content = await readFile(filepath, "utf-8");
+    const { data, content: body } = matter(content);
+
+    if (!data["Farbe Buchrücken"]) data["Farbe Buchrücken"] = spineColor;
+    if (!data["Farbe Text"]) data["Farbe Text"] = textColor;
+
+    const updated = matter.stringify(body, data);
+    await writeFile(filepath, updated, "utf-8");
+}
+
+/**
+ * Main function - compute spine/text colors from covers and write them back
+ */
+async function main() {
+    const mode = dryRunMode ? "DRY RUN" : testMode ? "TEST" : "FULL WRITE";
+    console.log(`🎨 Book Spine Color Script - ${mode} MODE`);
+    console.log("=".repeat(60));
+    console.log();
+
+    console.log("📚 Searching for book notes...");
+    const files = await findMarkdownFiles("**/*.md");
+
+    // Books with at least one empty color field
+    const candidates = [];
+    let complete = 0;
+    let withoutCover = 0;
+
+    for (const file of files) {
+        const { data } = await parseMarkdownFile(file);
+        if (!matchesCollection(data, "books")) continue;
+
+        if (data["Farbe Buchrücken"] && data["Farbe Text"]) {
+            complete++;
+            continue;
+        }
+
+        // A hand-picked spine color only needs a text color, no cover
+        const coverLocal = data["Cover (lokal)"];
+        const hasCover = coverLocal && existsSync(join(VAULT_PATH, coverLocal));
+        if (!data["Farbe Buchrücken"] && !hasCover) {
+            withoutCover++;
+            continue;
+        }
+
+        candidates.push({ title: data.Titel || "Unknown", data, file, coverLocal });
+    }
+
+    console.log(`✅ Found ${candidates.length} books without colors\n`);
+
+    const list = testMode ? candidates.slice(0, testCount) : candidates;
+    const results = { updated: 0, failed: 0 };
+
+    for (let i = 0; i < list.length; i++) {
+        const { title, data, file, coverLocal } = list[i];
+        process.stdout.write(`[${i + 1}/${list.length}] ${title}... `);
+
+        try {
+            // Keep a hand-picked spine color and only derive the text color for it
+            const spineColor = data["Farbe Buchrücken"] || (await getSpineColor(join(VAULT_PATH, coverLocal)));
+            const textColor = data["Farbe Text"] || getTextColor(spineColor);
+            if (!textColor) throw new Error(`Not a hex color: ${spineColor}`);
+
+            if (!dryRunMode) {
+                await updateBookFrontmatter(file, spineColor, textColor);
+            }
+            console.log(`✅ ${spineColor} / ${textColor}${dryRunMode ? "" : " + frontmatter updated"}`);
+            results.updated++;
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+            results.failed++;
+        }
+    }
+
+    console.log();
+    console.log("=".repeat(60));
+    console.log("📋 Summary:");
+    console.log(`  • ${complete} books already have both colors`);
+    console.log(`  • ${withoutCover} books have no local cover (skipped)`);
+    console.log(`  • ${results.updated} books ${dryRunMode ? "would be updated" : "updated"}`);
+    if (results.failed > 0) console.log(`  • ${results.failed} books failed`);
+    if (dryRunMode) {
+        console.log();
+        console.log("💡 This was a DRY RUN - no notes were modified");
+    }
+    console.log("=".repeat(60));
+}
+
+// Run the script
+main().catch((error) => {
+    console.error("❌ Error:", error.message);
+    console.error(error.stack);
+    process.exit(1);
+});
@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+
+/**
+ * Download remote series posters to a local Attachments folder.
+ *
+ * Series notes reference their poster by URL (usually TMDB, e.g.
+ * https://image.tmdb.org/t/p/w500/...). Those URLs rot like any other
+ * remote image, so we archive each poster locally — same approach used for
+ * book and bookmark covers.
+ *
+ * For each series note that has a `Cover:` URL but no `Cover (lokal):`
+ * field yet, this script:
+ *   1. Fetches the cover URL.
+ *   2. Resizes/recompresses it to max 600x900px JPEG via sharp.
+ *   3. Saves it as Attachments/Series Cover/<slug>.jpg.
+ *   4. Adds a `Cover (lokal):` frontmatter field. The original `Cover:` URL
+ *      is preserved as a breadcrumb, like for bookmarks.
+ *
+ * Season notes (`Serie: [[Show]]`) and templates are skipped.
+ *
+ * Idempotent: notes that already have a `Cover (lokal):` field with an
+ * existing local file are skipped on subsequent runs.
+ *
+ * Broken URLs (HTTP 4xx, non-image content, oversize) are treated as
+ * permanently dead: both `Cover` and `Cover (lokal)` are cleared in the
+ * note's frontmatter so future runs skip them. Transient failures (HTTP
+ * 5xx, network errors) leave the note untouched for retry on the next run.
+ *
+ * Usage:
+ *   node scripts/series/download-series-covers.mjs --dry-run
+ *   node scripts/series/download-series-covers.mjs --test     # first 2 only
+ *   node scripts/series/download-series-covers.mjs            # full run
+ */
+
+import { existsSync } from "fs";
+import { mkdir, writeFile, readFile } from "fs/promises";
+import { join, relative } from "path";
+import matter from "gray-matter";
+import sharp from "sharp";
+import {
+    findMarkdownFiles,
+    parseMarkdownFile,
+    VAULT_PATH,
+} from "../../lib/utils.mjs";
+import { COLLECTIONS, isExported } from "../../lib/collections.mjs";
+
+const COVER_DIR = join(VAULT_PATH, COLLECTIONS.series.coverDir);
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const dryRunMode = args.includes("--dry-run");
+const testMode = args.includes("--test");
+const testCount = testMode ? 2 : 0;
+
+/**
+ * Sanitize the series title into a safe lowercase filename
+ */
+function sanitizeFilename(title) {
+    const filename = title
+        .toLowerCase()
+        .replace(/[^a-z0-9-]/g, "-")
+        .replace(/-+/g, "-")
+        .replace(/^-|-$/g, "")
+        .slice(0, 100);
+
+    return `${filename}.jpg`;
+}
+
+/**
+ * Update series frontmatter: set `Cover (lokal)` to the relative path,
+ * leave `Cover` (the remote URL) untouched as a breadcrumb.
+ */
+async function updateSeriesFrontmatter(filepath, localCoverPath) {
+    const content = await readFile(filepath, "utf-8");
+    const { data, content: body } = matter(content);
+
+    data["Cover (lokal)"] = relative(VAULT_PATH, localCoverPath);
+
+    const updated = matter.stringify(body, data);
+    await writeFile(filepath, updated, "utf-8");
+}
+
+/**
+ * Mark a series poster as definitively broken: clear both `Cover` and
+ * `Cover (lokal)` so future runs skip it instead of re-hitting the dead URL.
+ */
+async function clearSeriesCover(filepath) {
+    const content = await readFile(filepath, "utf-8");
+    const { data, content: body } = matter(content);
+
+    data.Cover = "";
+    data["Cover (lokal)"] = "";
+
+    const updated = matter.stringify(body, data);
+    await writeFile(filepath, updated, "utf-8");
+}
+
+/**
+ * Construct an Error tagged as "definitive" — the poster URL is permanently
+ * broken (404, non-image, too large) and re-trying won't help. Transient
+ * failures (network, 5xx) are plain errors.
+ */
+function definitiveError(message) {
+    const err = new Error(message);
+    err.definitive = true;
+    return err;
+}
+
+/**
+ * Download a poster and resize it to max 600x900px JPEG.
+ */
+async function downloadCover(url, destinationPath) {
+    const response = await fetch(url, {
+        headers: {
+            "User-Agent": "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7)",
+        },
+    });
+
+    if (!response.ok) {
+        // 4xx → permanently broken (URL is dead). 5xx → transient (retry later).
+        const msg = `HTTP ${response.status}: ${response.statusText}`;
+        if (response.status >= 400 && response.status < 500) {
+            throw definitiveError(msg);
+        }
+        throw new Error(msg);
+    }
+
+    const contentType = response.headers.get("content-type");
+    if (!contentType || !contentType.startsWith("image/")) {
+        throw definitiveError(`Not an image (Content-Type: ${contentType})`);
+    }
+
+    let buffer = Buffer.from(await response.arrayBuffer());
+
+    const originalSizeKB = buffer.length / 1024;
+    const originalSizeMB = buffer.length / (1024 * 1024);
+
+    if (originalSizeMB > 10) {
+        throw definitiveError(`Image too large (${originalSizeMB.toFixed(2)}MB)`);
+    }
+
+    await mkdir(COVER_DIR, { recursive: true });
+
+    // Posters are shown as large as book covers, so use the same budget
+    let optimized = false;
+    let finalSizeKB = originalSizeKB;
+    try {
+        buffer = await sharp(buffer)
+            .resize(600, 900, {
+                fit: "inside",
+                withoutEnlargement: true,
+            })
+            .jpeg({ quality: 85 })
+            .toBuffer();
+        finalSizeKB = buffer.length / 1024;
+        optimized = true;
+    } catch (error) {
+        console.warn(`    ⚠️  Optimization failed, using original: ${error.message}`);
+    }
+
+    await writeFile(destinationPath, buffer);
+
+    return {
+        sizeMB: (buffer.length / (1024 * 1024)).toFixed(2),
+        originalSizeMB: originalSizeMB.toFixed(2),
+        optimized,
+        savedKB: optimized ? (originalSizeKB - finalSizeKB).toFixed(0) : 0,
+    };
+}
+
+async function main() {
+    const mode = dryRunMode ? "DRY RUN" : testMode ? "TEST" : "FULL DOWNLOAD";
+    console.log(`📺 Series Cover Download Script - ${mode} MODE`);
+    console.log("=".repeat(60));
+    console.log();
+
+    console.log("🔍 Searching for series notes...");
+    const files = await findMarkdownFiles("**/*.md");
+
+    const series = [];
+    for (const file of files) {
+        const { data } = await parseMarkdownFile(file);
+        if (isExported({ data, filePath: file }, "series")) {
+            series.push({ data, file });
+        }
+    }
+
+    console.log(`✅ Found ${series.length} series notes\n`);
+
+    const toDownload = [];
+    const alreadyLocal = [];
+    const noCoverUrl = [];
+    let withCover = 0;
+
+    for (const { data, file } of series) {
+        const title = data.Titel || "Unknown";
+        const coverUrl = data.Cover;
+        const coverLocal = data["Cover (lokal)"];
+
+        if (coverUrl) withCover++;
+
+        // Already archived locally — skip even if the Cover URL is still set
+        if (coverLocal && existsSync(join(VAULT_PATH, coverLocal))) {
+            alreadyLocal.push({ title, path: coverLocal });
+            continue;
+        }
+
+        if (!coverUrl) {
+            noCoverUrl.push({ title, file });
+            continue;
+        }
+
+        toDownload.push({ title, coverUrl, filename: sanitizeFilename(title), filepath: file });
+    }
+
+    console.log("📊 Analysis Results:");
+    console.log("-".repeat(60));
+    console.log(`Total series:                 ${series.length}`);
+    console.log(`Series with Cover URL:        ${withCover}`);
+    console.log(`Already have local file:      ${alreadyLocal.length}`);
+    console.log(`Missing Cover URL:            ${noCoverUrl.length}`);
+    console.log(`Need to download:             ${toDownload.length}`);
+    console.log();
+
+    if (noCoverUrl.length > 0) {
+        console.log("⚠️  Series without Cover URL (will be skipped):");
+        console.log("-".repeat(60));
+        noCoverUrl.forEach(({ title }) => console.log(`  • ${title}`));
+        console.log();
+    }
+
+    if (toDownload.length === 0) {
+        console.log("✨ Nothing to download.");
+        return;
+    }
+
+    if (dryRunMode) {
+        console.log("📥 Series that would be downloaded:");
+        console.log("-".repeat(60));
+        toDownload.slice(0, 10).forEach(({ title, coverUrl, filename }) => {
+            console.log(`  • ${title}`);
+            console.log(`    ├─ URL: ${coverUrl}`);
+            console.log(`    └─ Save as: ${filename}`);
+        });
+
+        if (toDownload.length > 10) {
+            console.log(`  ... and ${toDownload.length - 10} more series`);
+        }
+        console.log();
+        console.log("=".repeat(60));
+        console.log("💡 This was a DRY RUN - no files were downloaded or modified");
+        console.log("💡 Run without --dry-run to download, or use --test for first 2");
+        console.log("=".repeat(60));
+        return;
+    }
+
+    const downloadList = testMode ? toDownload.slice(0, testCount) : toDownload;
+
+    console.log(`📥 Downloading ${downloadList.length} series covers...`);
+    console.log("-".repeat(60));
+
+    const results = { success: 0, cleared: 0, transient: 0, errors: [] };
+
+    for (let i = 0; i < downloadList.length; i++) {
+        const { title, coverUrl, filename, filepath } = downloadList[i];
+        const destinationPath = join(COVER_DIR, filename);
+
+        process.stdout.write(`[${i + 1}/${downloadList.length}] ${title}... `);
+
+        try {
+            const { sizeMB, originalSizeMB, optimized, savedKB } = await downloadCover(
+                coverUrl,
+                destinationPath
+            );
+
+            await updateSeriesFrontmatter(filepath, destinationPath);
+
+            if (optimized) {
+                console.log(
+                    `✅ ${sizeMB}MB (optimized from ${originalSizeMB}MB, saved ${savedKB}KB) + frontmatter updated`
+                );
+            } else {
+                console.log(`✅ ${sizeMB}MB + frontmatter updated`);
+            }
+            results.success++;
+        } catch (error) {
+            if (error.definitive) {
+                // Permanently broken — clear both fields so re-runs skip it
+                await clearSeriesCover(filepath);
+                console.log(`❌ ${error.message} — cleared frontmatter`);
+                results.cleared++;
+            } else {
+                // Transient (network / 5xx) — leave the URL in place for retry next time
+                console.log(`⏳ ${error.message} — transient, will retry next run`);
+                results.transient++;
+            }
+            results.errors.push({
+                title,
+                url: coverUrl,
+                error: error.message,
+                cleared: Boolean(error.definitive),
+            });
+        }
+    }
+
+    console.log();
+
+    if (results.errors.length > 0) {
+        console.log("⚠️  Failed downloads:");
+        console.log("-".repeat(60));
+        results.errors.forEach(({ title, url, error, cleared }) => {
+            console.log(`  • ${title} ${cleared ? "(cleared)" : "(will retry)"}`);
+            console.log(`      url:   ${url}`);
+            console.log(`      error: ${error}`);
+        });
+        console.log();
+    }
+
+    console.log("=".repeat(60));
+    console.log("📋 Download Summary:");
+    console.log(`  ✅ Successfully downloaded: ${results.success}`);
+    console.log(`  🗑️  Broken (cleared):        ${results.cleared}`);
+    console.log(`  ⏳ Transient (will retry):  ${results.transient}`);
+    console.log(`  📁 Saved to: ${COVER_DIR}`);
+    console.log("=".repeat(60));
+}
+
+main().catch((error) => {
+    console.error("❌ Error:", error.message);
+    console.error(error.stack);
+    process.exit(1);
+});
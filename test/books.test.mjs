@@ -0,0 +1,51 @@
+import "./setup.mjs";
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { computeProgress } from "../export-books.mjs";
+
+/**
+ * Run computeProgress on a fresh book and return it
+ */
+function progress(book, log) {
+    const result = { pages: 400, ...book };
+    computeProgress(result, log);
+    return result;
+}
+
+describe("computeProgress", () => {
+    it("measures the pace from Begonnen at page 0", () => {
+        const book = progress({ startedAt: "2025-09-01" }, [
+            { date: "2025-09-03", page: 40 },
+            { date: "2025-09-11", page: 200 },
+        ]);
+        assert.equal(book.currentPage, 200);
+        assert.equal(book.progress, 50);
+        assert.equal(book.pagesPerDay, 20);
+        assert.equal(book.estimatedFinish, "2025-09-21");
+    });
+
+    it("measures the pace from the first log entry without Begonnen", () => {
+        const book = progress({}, [
+            { date: "2025-09-03", page: 200 },
+            { date: "2025-09-13", page: 220 },
+        ]);
+        assert.equal(book.startedAt, "2025-09-03");
+        assert.equal(book.pagesPerDay, 2);
+        assert.equal(book.estimatedFinish, "2025-12-12");
+    });
+
+    it("has no pace with a single log entry and no Begonnen", () => {
+        const book = progress({}, [{ date: "2025-09-03", page: 200 }]);
+        assert.equal(book.startedAt, "2025-09-03");
+        assert.equal(book.currentPage, 200);
+        assert.equal(book.pagesPerDay, null);
+        assert.equal(book.estimatedFinish, null);
+    });
+
+    it("has no pace without a log", () => {
+        const book = progress({ startedAt: "2025-09-01", currentPage: 120 }, []);
+        assert.equal(book.progress, 30);
+        assert.equal(book.pagesPerDay, null);
+        assert.equal(book.estimatedFinish, null);
+    });
+});
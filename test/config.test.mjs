@@ -0,0 +1,48 @@
+import "./setup.mjs";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { after, describe, it } from "node:test";
+import { loadConfig } from "../lib/config.mjs";
+
+const dir = mkdtempSync(join(tmpdir(), "obsidian-export-config-"));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Load the config from a temporary config file
+ */
+function loadFrom(fileConfig, { argv = [], env = {} } = {}) {
+    const configPath = join(dir, "config.json");
+    writeFileSync(configPath, JSON.stringify({ vaultPath: ".", ...fileConfig }));
+    return loadConfig({ argv: ["--config", configPath, ...argv], env });
+}
+
+describe("loadConfig", () => {
+    it("merges per-collection maps over the defaults", () => {
+        const config = loadFrom({
+            urls: { books: "/buecher/{slug}" },
+            bodySections: { series: ["Fazit"] },
+            kategorieAliases: { books: ["Lektüre"] },
+            kategorieTags: { movies: [] },
+        });
+
+        assert.equal(config.urls.books, "/buecher/{slug}");
+        assert.equal(config.urls.digitalGarden, "/garden/{slug}");
+        assert.equal(config.urls.bookmarks, "{url}");
+        assert.deepEqual(config.bodySections, { books: ["Rezension"], series: ["Fazit"], movies: [] });
+        assert.deepEqual(config.kategorieAliases.books, ["Lektüre"]);
+        assert.deepEqual(config.kategorieAliases.series, ["Series"]);
+        assert.deepEqual(config.kategorieTags.movies, []);
+        assert.deepEqual(config.kategorieTags.books, ["medien/bücher"]);
+    });
+
+    it("rejects per-collection maps that aren't objects", () => {
+        assert.throws(() => loadFrom({ urls: "/books/{slug}" }), /"urls" in .* must be an object/);
+    });
+
+    it("gives CLI flags precedence over the environment and the file", () => {
+        const config = loadFrom({}, { argv: ["--vault", "/from/cli"], env: { OBSIDIAN_VAULT_PATH: "/from/env" } });
+        assert.equal(config.vaultPath, "/from/cli");
+    });
+});
@@ -0,0 +1,87 @@
+import assert from "node:assert/strict";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { after, describe, it } from "node:test";
+import { loadIgnoreRules } from "../lib/ignore.mjs";
+
+const vaults = [];
+after(() => vaults.forEach((vault) => rmSync(vault, { recursive: true, force: true })));
+
+/**
+ * Create a temporary vault with the given files (vault-relative path →
+ * content; objects are written as JSON)
+ */
+function createVault(files = {}) {
+    const vault = mkdtempSync(join(tmpdir(), "obsidian-export-ignore-"));
+    vaults.push(vault);
+    for (const [file, content] of Object.entries(files)) {
+        mkdirSync(join(vault, file, ".."), { recursive: true });
+        writeFileSync(join(vault, file), typeof content === "string" ? content : JSON.stringify(content));
+    }
+    return vault;
+}
+
+describe("loadIgnoreRules", () => {
+    it("always ignores .obsidian/ and .trash/", () => {
+        const isIgnored = loadIgnoreRules(createVault());
+        assert.equal(isIgnored(".obsidian/workspace.json"), true);
+        assert.equal(isIgnored(".trash/Old Note.md"), true);
+        assert.equal(isIgnored("Notes/Note.md"), false);
+    });
+
+    it("applies .exportignore with gitignore syntax, including negation", () => {
+        const isIgnored = loadIgnoreRules(
+            createVault({ ".exportignore": "# Old stuff\nArchive/*\n!Archive/Favorites.md\n*.excalidraw.md\n" })
+        );
+        assert.equal(isIgnored("Archive/Old.md"), true);
+        assert.equal(isIgnored("Archive/Favorites.md"), false);
+        assert.equal(isIgnored("Drawings/Sketch.excalidraw.md"), true);
+        assert.equal(isIgnored("Library/Books/Dune.md"), false);
+    });
+
+    it("applies Obsidian's excluded files: prefixes and /regex/ entries", () => {
+        const isIgnored = loadIgnoreRules(
+            createVault({ ".obsidian/app.json": { userIgnoreFilters: ["Drafts/", "/\\.draft\\.md$/"] } })
+        );
+        assert.equal(isIgnored("Drafts/Idea.md"), true);
+        assert.equal(isIgnored("Notes/Plan.draft.md"), true);
+        assert.equal(isIgnored("Notes/Drafts.md"), false);
+        assert.equal(isIgnored("Notes/Plan.md"), false);
+    });
+
+    it("warns about an invalid regex and ignores only that entry", (t) => {
+        const warn = t.mock.method(console, "warn", () => {});
+        const isIgnored = loadIgnoreRules(
+            createVault({ ".obsidian/app.json": { userIgnoreFilters: ["/[unclosed/", "Drafts/"] } })
+        );
+        assert.equal(warn.mock.callCount(), 1);
+        assert.match(warn.mock.calls[0].arguments[0], /Invalid excluded files regex \/\[unclosed\//);
+        assert.equal(isIgnored("[unclosed/Note.md"), false);
+        assert.equal(isIgnored("Drafts/Idea.md"), true);
+    });
+
+    it("ignores the Templates plugin folder", () => {
+        const isIgnored = loadIgnoreRules(
+            createVault({ ".obsidian/templates.json": { folder: "Meta/Templates" } })
+        );
+        assert.equal(isIgnored("Meta/Templates/Book.md"), true);
+        assert.equal(isIgnored("Templates/Book.md"), false);
+    });
+
+    it("keeps notes that only mention templates in their name", () => {
+        const isIgnored = loadIgnoreRules(
+            createVault({ ".obsidian/templates.json": { folder: "Templates" } })
+        );
+        assert.equal(isIgnored("Templates/Book.md"), true);
+        assert.equal(isIgnored("Garden/Template Ideas.md"), false);
+        assert.equal(isIgnored("Template Ideas.md"), false);
+    });
+
+    it("reads the rules again on every call", () => {
+        const vault = createVault();
+        assert.equal(loadIgnoreRules(vault)("Archive/Old.md"), false);
+        writeFileSync(join(vault, ".exportignore"), "Archive/\n");
+        assert.equal(loadIgnoreRules(vault)("Archive/Old.md"), true);
+    });
+});
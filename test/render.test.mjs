@@ -0,0 +1,158 @@
+import "./setup.mjs";
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createRenderer } from "../lib/render.mjs";
+
+const linkIndex = new Map([
+    ["ron mueck", { collection: "digitalGarden", slug: "ron-mueck", url: "/garden/ron-mueck" }],
+    ["the hobbit", { collection: "books", slug: "the-hobbit", url: "/books/the-hobbit" }],
+]);
+const resolveEmbed = (target) => (target === "diagram.png" ? "garden-assets/diagram.webp" : null);
+const render = createRenderer({ linkIndex, resolveEmbed });
+
+describe("wikilinks", () => {
+    it("links resolved notes", () => {
+        assert.equal(
+            render("See [[Ron Mueck]]."),
+            '<p>See <a href="/garden/ron-mueck" class="internal-link">Ron Mueck</a>.</p>\n'
+        );
+    });
+
+    it("uses the alias as label", () => {
+        assert.equal(
+            render("[[The Hobbit|Tolkien's book]]"),
+            '<p><a href="/books/the-hobbit" class="internal-link">Tolkien\'s book</a></p>\n'
+        );
+    });
+
+    it("links headings with their anchor", () => {
+        assert.equal(
+            render("[[Ron Mueck#Frühe Werke]]"),
+            '<p><a href="/garden/ron-mueck#frühe-werke" class="internal-link">Ron Mueck &gt; Frühe Werke</a></p>\n'
+        );
+    });
+
+    it("links headings in the current note", () => {
+        assert.equal(render("[[#Summary]]"), '<p><a href="#summary" class="internal-link">Summary</a></p>\n');
+    });
+
+    it("renders unresolved links as plain text", () => {
+        assert.equal(render("[[Missing Note|the missing one]] and [[Other]]"), "<p>the missing one and Other</p>\n");
+    });
+});
+
+describe("embeds", () => {
+    it("renders image embeds with the resolved src", () => {
+        assert.equal(
+            render("![[diagram.png]]"),
+            '<p><img src="garden-assets/diagram.webp" alt="diagram.png"></p>\n'
+        );
+    });
+
+    it("uses a numeric alias as width and other aliases as alt text", () => {
+        assert.equal(
+            render("![[diagram.png|300]] ![[diagram.png|A diagram]]"),
+            '<p><img src="garden-assets/diagram.webp" alt="diagram.png" width="300"> ' +
+                '<img src="garden-assets/diagram.webp" alt="A diagram"></p>\n'
+        );
+    });
+
+    it("renders unresolved images as their file name", () => {
+        assert.equal(render("![[Attachments/missing.png]]"), "<p>missing.png</p>\n");
+    });
+
+    it("renders note embeds as links", () => {
+        assert.equal(
+            render("![[Ron Mueck]]"),
+            '<p><a href="/garden/ron-mueck" class="internal-link">Ron Mueck</a></p>\n'
+        );
+    });
+});
+
+describe("callouts", () => {
+    it("renders type, title and content", () => {
+        assert.equal(
+            render("> [!warning] Careful\n> Hot surface"),
+            '<div class="callout" data-callout="warning">\n' +
+                '<div class="callout-title">Careful</div>\n' +
+                '<div class="callout-content">\n' +
+                "<p>Hot surface</p>\n" +
+                "</div>\n" +
+                "</div>\n"
+        );
+    });
+
+    it("defaults the title to the type", () => {
+        assert.match(render("> [!note]\n> Text"), /<div class="callout-title">Note<\/div>/);
+    });
+
+    it("keeps the fold marker", () => {
+        assert.match(
+            render("> [!tip]- Folded\n> Text"),
+            /^<div class="callout" data-callout="tip" data-callout-fold="-">\n<div class="callout-title">Folded<\/div>/
+        );
+    });
+
+    it("renders title-only callouts without an empty paragraph", () => {
+        assert.equal(
+            render("> [!info] Just a title"),
+            '<div class="callout" data-callout="info">\n' +
+                '<div class="callout-title">Just a title</div>\n' +
+                '<div class="callout-content">\n' +
+                "</div>\n" +
+                "</div>\n"
+        );
+    });
+
+    it("leaves plain blockquotes alone", () => {
+        assert.equal(render("> Quote"), "<blockquote>\n<p>Quote</p>\n</blockquote>\n");
+    });
+});
+
+describe("highlights", () => {
+    it("renders ==text== as mark", () => {
+        assert.equal(render("Very ==important== text"), "<p>Very <mark>important</mark> text</p>\n");
+    });
+
+    it("renders inline markup inside highlights", () => {
+        assert.equal(render("==**bold** move=="), "<p><mark><strong>bold</strong> move</mark></p>\n");
+    });
+
+    it("ignores == with surrounding spaces", () => {
+        assert.equal(render("a == b == c"), "<p>a == b == c</p>\n");
+    });
+});
+
+describe("tags", () => {
+    it("renders tags, including nested ones", () => {
+        assert.equal(
+            render("#kunst and #medien/bücher"),
+            '<p><span class="tag" data-tag="kunst">#kunst</span> and ' +
+                '<span class="tag" data-tag="medien/bücher">#medien/bücher</span></p>\n'
+        );
+    });
+
+    it("doesn't treat numbers as tags", () => {
+        assert.equal(render("Issue #123"), "<p>Issue #123</p>\n");
+    });
+
+    it("doesn't treat URL fragments as tags", () => {
+        const html = render("https://example.com/page#section and [link](https://example.com/#top)");
+        assert.doesNotMatch(html, /class="tag"/);
+        assert.match(html, /href="https:\/\/example\.com\/page#section"/);
+        assert.match(html, /href="https:\/\/example\.com\/#top"/);
+    });
+
+    it("doesn't render headings as tags", () => {
+        assert.equal(render("# Title"), '<h1 id="title">Title</h1>\n');
+    });
+});
+
+describe("footnotes", () => {
+    it("renders references and the footnote list", () => {
+        const html = render("Claim[^1].\n\n[^1]: Source.");
+        assert.match(html, /<sup class="footnote-ref"><a href="#fn1" id="fnref1">\[1\]<\/a><\/sup>/);
+        assert.match(html, /<section class="footnotes">/);
+        assert.match(html, /<li id="fn1" class="footnote-item"><p>Source\./);
+    });
+});
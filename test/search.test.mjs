@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createSearchIndex, foldGerman, searchIndex, stem, tokenize } from "../lib/search.mjs";
+
+const index = createSearchIndex([
+    {
+        document: { collection: "books", id: "1", slug: "die-buecher", title: "Die Bücher der Stadt", url: "/books/die-buecher" },
+        fields: { title: "Die Bücher der Stadt", creators: ["Jürgen Groß"], body: "Eine Geschichte aus München" },
+    },
+    {
+        document: { collection: "books", id: "2", slug: "dune", title: "Dune", url: "/books/dune" },
+        fields: { title: "Dune", creators: ["Frank Herbert"], tags: ["Science Fiction"] },
+    },
+    {
+        document: { collection: "movies", id: "3", slug: "dune-part-two", title: "Dune: Part Two", url: "/movies/dune-part-two" },
+        fields: { title: "Dune: Part Two", creators: ["Denis Villeneuve"], tags: ["Science Fiction"] },
+    },
+    {
+        document: { collection: "digitalGarden", id: "4", slug: "buchdruck", title: "Buchdruck", url: "/garden/buchdruck" },
+        fields: { title: "Buchdruck", description: "Das Buch vor und nach Gutenberg" },
+    },
+]);
+
+const titles = (results) => results.map((result) => result.title);
+
+describe("foldGerman", () => {
+    it("transcribes umlauts and ß", () => {
+        assert.equal(foldGerman("Größe"), "groesse");
+        assert.equal(foldGerman("Äpfel Öl Übung"), "aepfel oel uebung");
+        assert.equal(foldGerman("Straße"), "strasse");
+    });
+
+    it("lowercases and drops other accents", () => {
+        assert.equal(foldGerman("Café Crème"), "cafe creme");
+    });
+
+    it("folds decomposed umlauts like composed ones", () => {
+        assert.equal(foldGerman("München"), foldGerman("München"));
+    });
+});
+
+describe("stem", () => {
+    it("gives inflected forms the same stem", () => {
+        const stems = ["Bücher", "Buches", "Buch"].map((word) => stem(foldGerman(word)));
+        assert.deepEqual(stems, ["buch", "buch", "buch"]);
+    });
+
+    it("matches umlauts and their transcription", () => {
+        assert.equal(stem(foldGerman("München")), stem(foldGerman("Muenchen")));
+    });
+
+    it("keeps a final ss from ß", () => {
+        assert.equal(stem(foldGerman("Größe")), stem(foldGerman("groß")));
+    });
+
+    it("keeps words with digits", () => {
+        assert.equal(stem("2001s"), "2001s");
+    });
+});
+
+describe("tokenize", () => {
+    it("drops stop words, markup and URLs", () => {
+        assert.deepEqual(
+            tokenize("Die <b>Bücher</b> und [das Buch](https://example.com/buch) https://example.com"),
+            ["buch", "buch"]
+        );
+    });
+});
+
+describe("searchIndex", () => {
+    it("finds inflected and transcribed forms", () => {
+        assert.deepEqual(titles(searchIndex(index, "Buecher")).sort(), ["Buchdruck", "Die Bücher der Stadt"]);
+        assert.deepEqual(titles(searchIndex(index, "Muenchen")), ["Die Bücher der Stadt"]);
+    });
+
+    it("requires every query word to match", () => {
+        assert.deepEqual(titles(searchIndex(index, "dune villeneuve")), ["Dune: Part Two"]);
+        assert.deepEqual(searchIndex(index, "dune gutenberg"), []);
+    });
+
+    it("matches the last word as a prefix", () => {
+        assert.deepEqual(titles(searchIndex(index, "villen")), ["Dune: Part Two"]);
+        assert.deepEqual(titles(searchIndex(index, "frank herb")), ["Dune"]);
+        assert.deepEqual(searchIndex(index, "herb frank"), []);
+    });
+
+    it("ranks title matches above other fields", () => {
+        assert.deepEqual(titles(searchIndex(index, "buchdruck")), ["Buchdruck"]);
+        assert.equal(searchIndex(index, "buch")[0].title, "Buchdruck");
+    });
+
+    it("filters by collection", () => {
+        assert.deepEqual(titles(searchIndex(index, "dune", { collection: "movies" })), ["Dune: Part Two"]);
+        assert.deepEqual(titles(searchIndex(index, "dune", { collection: "books" })), ["Dune"]);
+        assert.deepEqual(searchIndex(index, "dune", { collection: "bookmarks" }), []);
+    });
+
+    it("limits the results", () => {
+        assert.equal(searchIndex(index, "dune", { limit: 1 }).length, 1);
+    });
+
+    it("returns the document with its score", () => {
+        const [result] = searchIndex(index, "stadt");
+        assert.equal(result.url, "/books/die-buecher");
+        assert.equal(result.collection, "books");
+        assert.ok(result.score > 0);
+    });
+
+    it("returns nothing for stop words only", () => {
+        assert.deepEqual(searchIndex(index, "der die das"), []);
+    });
+});
@@ -0,0 +1,9 @@
+import { fileURLToPath } from "url";
+
+// lib/config.mjs resolves the config when it is imported. Point it at the
+// fixtures so tests don't depend on the local config or environment.
+process.env.OBSIDIAN_EXPORT_CONFIG = fileURLToPath(
+    new URL("./fixtures/obsidian-export.config.json", import.meta.url)
+);
+delete process.env.OBSIDIAN_VAULT_PATH;
+delete process.env.OBSIDIAN_EXPORT_OUTPUT;
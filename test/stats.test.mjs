@@ -0,0 +1,73 @@
+import "./setup.mjs";
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { collectionStats } from "../export-stats.mjs";
+
+const SERIES = { withPages: false, people: ["directors", "director"] };
+
+/**
+ * Minimal series.json show entry
+ */
+function show(title, fields) {
+    return { id: title, slug: title.toLowerCase(), title, rating: null, seasons: [], ...fields };
+}
+
+describe("collectionStats for series", () => {
+    it("counts every finished season in its own year with its own rating", () => {
+        const bear = show("Bear", {
+            finished: "2025-06-01",
+            rating: 4,
+            seasons: [
+                { number: 1, finished: "2023-07-10", rating: 5 },
+                { number: 2, finished: "2025-06-01", rating: 3 },
+            ],
+        });
+        const stats = collectionStats({ abgeschlossen: { 2025: [bear] } }, SERIES);
+
+        assert.equal(stats.finished, 1);
+        assert.equal(stats.reads, 2);
+        assert.equal(stats.rereads, 0);
+        assert.deepEqual(Object.keys(stats.byYear).sort(), ["2023", "2025"]);
+        assert.equal(stats.byYear["2023"].count, 1);
+        assert.equal(stats.byYear["2023"].averageRating, 5);
+        assert.equal(stats.byYear["2025"].averageRating, 3);
+    });
+
+    it("uses the show rating for an unrated latest season", () => {
+        const severance = show("Severance", {
+            finished: "2025-03-21",
+            rating: 4.5,
+            seasons: [
+                { number: 1, finished: "2022-04-08", rating: null },
+                { number: 2, finished: "2025-03-21", rating: null },
+            ],
+        });
+        const stats = collectionStats({ abgeschlossen: { 2025: [severance] } }, SERIES);
+
+        assert.equal(stats.byYear["2022"].averageRating, null);
+        assert.equal(stats.byYear["2025"].averageRating, 4.5);
+    });
+
+    it("counts finished seasons of running shows", () => {
+        const running = show("Running", {
+            status: ["Aktiv"],
+            seasons: [
+                { number: 1, finished: "2024-02-01", rating: 4 },
+                { number: 2, finished: null, rating: null },
+            ],
+        });
+        const stats = collectionStats({ aktiv: [running], abgeschlossen: {} }, SERIES);
+
+        assert.equal(stats.reads, 1);
+        assert.equal(stats.byYear["2024"].count, 1);
+    });
+
+    it("counts shows without dated seasons once", () => {
+        const old = show("Old", { finished: "2019-05-05", rating: 3 });
+        const stats = collectionStats({ abgeschlossen: { 2019: [old] }, aktiv: [show("New", {})] }, SERIES);
+
+        assert.equal(stats.finished, 1);
+        assert.equal(stats.reads, 1);
+        assert.equal(stats.byYear["2019"].averageRating, 3);
+    });
+});
@@ -0,0 +1,49 @@
+import "./setup.mjs";
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { hasKategorie, slugify } from "../lib/utils.mjs";
+
+describe("slugify", () => {
+    it("slugs file names", () => {
+        assert.equal(slugify("The Hobbit.md"), "the-hobbit");
+        assert.equal(slugify("  Dune: Part Two (2024) "), "dune-part-two-2024");
+    });
+
+    it("transcribes umlauts and ß", () => {
+        assert.equal(slugify("Bücher.md"), "buecher");
+        assert.equal(slugify("Straße"), "strasse");
+        assert.equal(slugify("Ärger über Öl"), "aerger-ueber-oel");
+    });
+
+    it("folds other accents and compatibility forms to ASCII", () => {
+        assert.equal(slugify("Café Crème"), "cafe-creme");
+        assert.equal(slugify("ﬁnal E=mc²"), "final-e-mc2");
+    });
+
+    it("treats decomposed umlauts like composed ones", () => {
+        assert.equal(slugify("Bu\u0308cher"), "buecher");
+    });
+});
+
+describe("hasKategorie", () => {
+    it("matches strings, wikilinks and lists exactly, ignoring case", () => {
+        assert.equal(hasKategorie({ Kategorie: "[[Bücher]]" }, "Bücher"), true);
+        assert.equal(hasKategorie({ Kategorie: "[[Kategorien/Bücher|Books]]" }, "bücher"), true);
+        assert.equal(hasKategorie({ Kategorie: ["[[Favoriten]]", "[[Bücher]]"] }, "Bücher"), true);
+        assert.equal(hasKategorie({ Kategorie: "[[Hörbücher]]" }, "Bücher"), false);
+        assert.equal(hasKategorie({}, "Bücher"), false);
+    });
+
+    it("splits comma-separated strings", () => {
+        const data = { Kategorie: "[[Bücher]], [[Favoriten]]" };
+        assert.equal(hasKategorie(data, "Bücher"), true);
+        assert.equal(hasKategorie(data, "Favoriten"), true);
+        assert.equal(hasKategorie({ Kategorie: "Serien,Filme" }, ["Filme"]), true);
+        assert.equal(hasKategorie({ Kategorie: ["[[Serien]], [[Filme]]"] }, "Serien"), true);
+    });
+
+    it("doesn't split commas inside a wikilink", () => {
+        assert.equal(hasKategorie({ Kategorie: "[[Bücher|Books, novels]]" }, "Bücher"), true);
+        assert.equal(hasKategorie({ Kategorie: "[[Bücher|Books, novels]]" }, "novels"), false);
+    });
+});